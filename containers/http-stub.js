@@ -0,0 +1,44 @@
+// @ts-nocheck
+
+// HTTP stub server
+// Serves a few records so the HTTP lookup provider can be tested locally
+// GET /api/users/{id}  -> 200 { data: {...} } or 404
+// GET /api/orders/{id} -> 200 { data: {...} } or 404
+
+import http from "node:http";
+
+const PORT = Number(process.env.PORT) || 3000;
+
+const records = {
+	users: [
+		{ id: "62acb797-eb6c-43d6-bc4c-b4ffa8f98db0", username: "user_1" },
+		{ id: "5b91119a-4964-4204-bbe0-20f9a3c9f1df", username: "user_2" },
+		{ id: "42", username: "jane", name: "Jane Smith" },
+	],
+	orders: [
+		{ id: "ORD-425-179", user_id: "62acb797-eb6c-43d6-bc4c-b4ffa8f98db0" },
+		{ id: "ORD-425-180", user_id: "5b91119a-4964-4204-bbe0-20f9a3c9f1df" },
+	],
+};
+
+const server = http.createServer((req, res) => {
+	const match = req.url.match(/^\/api\/(\w+)\/([^/?]+)$/);
+	const collection = match ? records[match[1]] : undefined;
+	const id = match ? decodeURIComponent(match[2]) : undefined;
+	const record = collection?.find((item) => item.id === id);
+
+	console.log(`${req.method} ${req.url} -> ${record ? 200 : 404}`);
+
+	res.setHeader("Content-Type", "application/json");
+	if (!record) {
+		res.statusCode = 404;
+		res.end(JSON.stringify({ error: "Not found" }));
+		return;
+	}
+
+	res.end(JSON.stringify({ data: record }));
+});
+
+server.listen(PORT, () => {
+	console.log(`HTTP stub listening on http://localhost:${PORT}`);
+});
@@ -0,0 +1,26 @@
+-- SQL init script
+-- Executed automatically by both the PostgreSQL and MySQL containers when they are created for the first time
+-- Only portable SQL is used so the same file works in both
+
+CREATE TABLE users (
+	id VARCHAR(36) PRIMARY KEY,
+	username VARCHAR(64) NOT NULL UNIQUE,
+	email VARCHAR(255) NOT NULL UNIQUE
+);
+
+CREATE TABLE orders (
+	id VARCHAR(32) PRIMARY KEY,
+	user_id VARCHAR(36) NOT NULL,
+	amount INTEGER NOT NULL,
+	status VARCHAR(32) NOT NULL
+);
+
+INSERT INTO users (id, username, email) VALUES
+	('62acb797-eb6c-43d6-bc4c-b4ffa8f98db0', 'user_1', 'user_1@example.com'),
+	('5b91119a-4964-4204-bbe0-20f9a3c9f1df', 'user_2', 'user_2@example.com'),
+	('d414a108-bffe-4ad9-85bd-7a3efa54f883', 'user_3', 'user_3@example.com'),
+	('068e697e-0fc4-4197-a5bf-25857b2da705', 'user_4', 'user_4@example.com');
+
+INSERT INTO orders (id, user_id, amount, status) VALUES
+	('ORD-425-179', '62acb797-eb6c-43d6-bc4c-b4ffa8f98db0', 1, 'paid'),
+	('ORD-425-180', '5b91119a-4964-4204-bbe0-20f9a3c9f1df', 2, 'pending');
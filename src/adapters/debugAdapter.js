@@ -1,51 +1,153 @@
+import { searchMissingInBackground } from "../utils/backgroundSearch.js";
+import { searchLocalDatabase } from "../utils/database.js";
+import { getDisplayLabel } from "../utils/displayLabel.js";
+import { getFromMongoCache } from "../utils/mongoDatabase.js";
+import { searchSqliteDatabase } from "../utils/sqliteDatabase.js";
 import {
-	getDatabase,
-	getDatabaseSource,
-	isJsonDatabaseEnabled,
-} from "../utils/database.js";
-import {
-	getFromMongoCache,
-	searchMongoDatabase,
-} from "../utils/mongoDatabase.js";
-import { formatTooltipHeaderPlainText } from "../utils/tooltip.js";
+	formatAge,
+	formatLookupSummaryPlainText,
+	formatTooltipHeaderPlainText,
+	formatVariableLabel,
+} from "../utils/tooltip.js";
 import {
 	extractObjectValues,
 	tryParseObject,
 } from "../utils/variableResolver.js";
 
+/** Requests whose arguments are needed with their response (e.g., to find the top frame's locals, the context of an evaluate) */
+const TRACKED_REQUESTS = new Set([
+	"stackTrace",
+	"scopes",
+	"variables",
+	"evaluate",
+]);
+
+/** Maximum number of local values searched in background when the debugger stops */
+const MAX_PREFETCHED_LOCALS = 50;
+
+/** Name of the child added to objects with a match */
+const LOOKUP_CHILD_NAME = "🔍 lookup";
+
+/** Prefix of the name of the row added under values of the Variables view with a match */
+const LOOKUP_ROW_PREFIX = "🔍 ";
+
+/** The lookup rows can't be edited, and are shown as virtual */
+const LOOKUP_PRESENTATION_HINT = { kind: "virtual", attributes: ["readOnly"] };
+
+/**
+ * First variablesReference of the lookup child and its fields
+ * Far above the references debug adapters hand out (they count up from 1), so they don't collide
+ * Lookup rows and children are turned off for a session whose debug adapter returns a reference in this range
+ */
+const SYNTHETIC_REFERENCE_BASE = 1_500_000_000;
+
+/**
+ * Get how a value of a matched document is shown in the Variables view
+ * @param {any} value
+ * @returns {string}
+ */
+function formatSyntheticValue(value) {
+	if (Array.isArray(value)) {
+		return `Array(${value.length})`;
+	}
+	if (value instanceof Date) {
+		return value.toISOString();
+	}
+	// ObjectIds, UUIDs, Decimal128...
+	if (value?._bsontype !== undefined) {
+		return String(value);
+	}
+	if (value !== null && typeof value === "object") {
+		return "{…}";
+	}
+	return value === undefined ? "undefined" : JSON.stringify(value);
+}
+
+/**
+ * Get the value to search for from a value shown by the debugger
+ * Quoted results are strings, unquoted numeric results are numbers, so MongoDB is queried with the right type
+ * Numbers that a number can't hold as shown (e.g., 64-bit IDs, "1.10") are kept as text, so the shown value is searched
+ * @param {string} value - e.g., "'abc'", "42", "Object"
+ * @returns {string|number|null} - null if it's neither
+ */
+function parseDebuggerValue(value) {
+	const stringMatch = value.match(/^['"](.*)['"]$/);
+	if (stringMatch) {
+		return stringMatch[1];
+	}
+	if (/^-?\d+(\.\d+)?$/.test(value)) {
+		return String(Number(value)) === value ? Number(value) : value;
+	}
+	return null;
+}
+
 /**
  * Search for a value synchronously in databases and cache
+ * Stale values (expired, kept by the persistent cache) are returned too, to be refreshed in background
  * @param {string|number} searchValue - The value to search for
- * @returns {{result: any, source: string, lookupTime: number} | null}
+ * @returns {{result: any, source: string, sourceName: string, lookupTime: number, matchedField: string | null, matchedPattern: string | null, stale: boolean} | null} - sourceName is the source without cache notes
  */
 function searchSynchronously(searchValue) {
 	let result = null;
 	let source = null;
+	let sourceName = null;
+	let matchedField = null;
+	let matchedPattern = null;
 	let lookupTime = 0;
+	let stale = false;
+
+	// Try JSON database first (synchronous, returns null if disabled)
+	const lookupStart = performance.now();
+	const localResult = searchLocalDatabase(searchValue);
+	lookupTime = performance.now() - lookupStart;
+	if (localResult) {
+		result = localResult.document;
+		source = localResult.source;
+		sourceName = localResult.source;
+		matchedField = localResult.matchedField;
+		matchedPattern = localResult.matchedPattern;
+	}
+
+	// If not found in JSON database, try SQLite (synchronous)
+	if (!result) {
+		const sqliteStart = performance.now();
+		const sqliteResult = searchSqliteDatabase(searchValue);
+		lookupTime += performance.now() - sqliteStart;
 
-	// Try JSON database first (synchronous)
-	if (isJsonDatabaseEnabled()) {
-		const database = getDatabase();
-		const lookupStart = performance.now();
-		result = database[String(searchValue)];
-		source = getDatabaseSource(String(searchValue));
-		lookupTime = performance.now() - lookupStart;
+		if (sqliteResult) {
+			result = sqliteResult.document;
+			source = sqliteResult.source;
+			sourceName = sqliteResult.source;
+		}
 	}
 
-	// If not found in JSON database, try MongoDB cache (synchronous)
+	// If not found in JSON database or SQLite, try MongoDB cache (synchronous)
 	if (!result) {
 		const cacheStart = performance.now();
-		const cachedResult = getFromMongoCache(String(searchValue));
+		const cachedResult = getFromMongoCache(searchValue);
 		lookupTime += performance.now() - cacheStart;
 
 		if (cachedResult) {
 			result = cachedResult.document;
-			source = `${cachedResult.source} (cached)`;
+			source = cachedResult.stale
+				? `${cachedResult.source} (stale, saved ${formatAge(cachedResult.timestamp)})`
+				: `${cachedResult.source} (cached)`;
+			sourceName = cachedResult.source;
+			matchedField = cachedResult.matchedField;
+			stale = cachedResult.stale;
 		}
 	}
 
 	if (result) {
-		return { result, source, lookupTime };
+		return {
+			result,
+			source,
+			sourceName,
+			lookupTime,
+			matchedField,
+			matchedPattern,
+			stale,
+		};
 	}
 
 	return null;
@@ -54,7 +156,7 @@ function searchSynchronously(searchValue) {
 /**
  * Search with multiple values synchronously
  * @param {Array<string|number>} values - Array of values to search
- * @returns {{result: any, source: string, lookupTime: number, matchedValue: string|number} | null}
+ * @returns {{result: any, source: string, sourceName: string, lookupTime: number, matchedField: string | null, matchedPattern: string | null, stale: boolean, matchedValue: string|number} | null}
  */
 function searchWithMultipleValuesSync(values) {
 	for (const value of values) {
@@ -79,21 +181,411 @@ function searchWithMultipleValuesSync(values) {
  *
  * Therefore, we search in:
  * 1. JSON database (synchronous)
- * 2. MongoDB cache (synchronous) - values that were previously searched
- * 3. If not found in cache, trigger async MongoDB search in background (for next hover)
- * 4. For objects, try all values sequentially until a match is found
+ * 2. SQLite databases (synchronous, loaded in memory)
+ * 3. Remote cache (synchronous) - MongoDB, SQL and HTTP values that were previously searched, or saved by the persistent cache
+ * 4. If not found in cache and not known to be missing, trigger async remote search in background (for next hover)
+ * 5. For objects, try all values sequentially until a match is found
+ *
+ * Primitive values show the match as text. Objects stay expandable: the match is added as a "🔍 lookup" child,
+ * with synthetic variablesReferences the tracker answers itself
+ *
+ * When the debugger stops, the values of the top frame's locals are searched in background too,
+ * from the variables response VS Code requests for them, so they are cached before they are hovered
+ *
+ * Values shown in the Variables and Watch views keep their own value (e.g., for Copy Value and Set Value): a match
+ * is shown as an extra row (Variables view) or a "🔍 lookup" child (Watch view), with the label of hoverLookup.displayFields
  */
 class LookupDebugAdapterTracker {
 	constructor(session) {
 		this.session = session;
+		/** @type {Map<number, {command: string, arguments?: any}>} Tracked requests waiting for their response, by seq */
+		this.pendingRequests = new Map();
+		/** @type {{threadId?: number, topFrameId: number | null, localsReferences: Set<number>} | null} Current stop */
+		this.stop = null;
+		/** @type {Map<number, any>} Values of the synthetic references (the lookup child and its nested fields) */
+		this.syntheticValues = new Map();
+		/** @type {Map<number, {name: string, value: string, variablesReference: number}>} Lookup child of each object with a match, by its variablesReference */
+		this.lookupChildren = new Map();
+		this.nextSyntheticReference = SYNTHETIC_REFERENCE_BASE;
+		/** False once the debug adapter returned a reference from SYNTHETIC_REFERENCE_BASE, which could collide */
+		this.syntheticReferencesEnabled = true;
+	}
+
+	onWillReceiveMessage(message) {
+		if (message.type === "request" && TRACKED_REQUESTS.has(message.command)) {
+			this.pendingRequests.set(message.seq, message);
+		}
+	}
+
+	/**
+	 * Get the tracked request a response answers, and stop tracking it
+	 * @param {any} response
+	 * @returns {{command: string, arguments?: any} | null}
+	 */
+	takeRequest(response) {
+		const request = this.pendingRequests.get(response.request_seq);
+		this.pendingRequests.delete(response.request_seq);
+		return request || null;
+	}
+
+	/**
+	 * Follow a stop to the top frame's locals: stopped event, then stackTrace, scopes and variables responses
+	 * @param {any} message - Event or response sent by the debug adapter
+	 * @param {{command: string, arguments?: any} | null} request - Request of a response
+	 */
+	trackStop(message, request) {
+		if (message.type === "event") {
+			if (message.event === "stopped") {
+				this.stop = {
+					threadId: message.body?.threadId,
+					topFrameId: null,
+					localsReferences: new Set(),
+				};
+			} else if (message.event === "continued") {
+				this.stop = null;
+			}
+			return;
+		}
+
+		if (!request || !this.stop || !message.success || !message.body) {
+			return;
+		}
+
+		const args = request.arguments || {};
+
+		if (message.command === "stackTrace") {
+			const isTopOfStoppedThread =
+				!args.startFrame &&
+				(this.stop.threadId === undefined ||
+					args.threadId === this.stop.threadId);
+
+			if (this.stop.topFrameId === null && isTopOfStoppedThread) {
+				this.stop.topFrameId = message.body.stackFrames?.[0]?.id ?? null;
+			}
+		} else if (message.command === "scopes") {
+			if (args.frameId !== this.stop.topFrameId) {
+				return;
+			}
+
+			// Expensive scopes (e.g., globals) are only fetched when expanded
+			const scopes = (message.body.scopes || []).filter(
+				(scope) => !scope.expensive,
+			);
+			const locals = scopes.filter(
+				(scope) =>
+					scope.presentationHint === "locals" || /local/i.test(scope.name),
+			);
+			for (const scope of locals.length > 0 ? locals : scopes.slice(0, 1)) {
+				this.stop.localsReferences.add(scope.variablesReference);
+			}
+		} else if (message.command === "variables") {
+			if (this.stop.localsReferences.has(args.variablesReference)) {
+				this.prefetchVariables(message.body.variables || []);
+			}
+		}
+	}
+
+	/**
+	 * Search the primitive values of variables in background, if they aren't known yet
+	 * @param {Array<{name: string, value: string, variablesReference: number}>} variables
+	 */
+	prefetchVariables(variables) {
+		const values = new Map();
+
+		for (const variable of variables) {
+			// Objects and arrays have children
+			if (variable.variablesReference > 0) {
+				continue;
+			}
+
+			const value = parseDebuggerValue(variable.value ?? "");
+			if (value === null || value === "") {
+				continue;
+			}
+
+			const known = searchSynchronously(value);
+			if (!known || known.stale) {
+				values.set(`${typeof value}:${value}`, value);
+			}
+		}
+
+		if (values.size === 0) {
+			return;
+		}
+
+		const missingValues = [...values.values()].slice(0, MAX_PREFETCHED_LOCALS);
+		console.log(
+			`[HoverLookup] Debug adapter: searching ${missingValues.length} local value(s) in background`,
+		);
+		searchMissingInBackground(missingValues);
+	}
+
+	/**
+	 * Get the match of a value shown by the debugger, with its summary (synchronous)
+	 * @param {string} displayValue - e.g., "42" or "'abc'"
+	 * @returns {{document: any, summary: string} | null} - e.g., summary '"Jane Smith" · users.json', null if the value has no match
+	 */
+	getVariableLookup(displayValue) {
+		const value = parseDebuggerValue(displayValue);
+		if (value === null || value === "") {
+			return null;
+		}
+
+		const searchResult = searchSynchronously(value);
+		if (!searchResult) {
+			return null;
+		}
+
+		return {
+			document: searchResult.result,
+			summary: formatLookupSummaryPlainText({
+				label: getDisplayLabel(searchResult.result, searchResult.sourceName),
+				source: searchResult.source,
+			}),
+		};
+	}
+
+	/**
+	 * Add a row under the values of a variables response that have a match (Variables view, expanded objects)
+	 * The row is named after the variable (e.g., "🔍 customerId"), shows the label and expands to the matched document
+	 * @param {Array<{name: string, value: string, variablesReference: number}>} variables
+	 * @returns {Array<{name: string, value: string, variablesReference: number}>}
+	 */
+	labelVariables(variables) {
+		if (!this.syntheticReferencesEnabled) {
+			return variables;
+		}
+
+		return variables.flatMap((variable) => {
+			// Objects and arrays are labelled through their children
+			if (
+				variable.variablesReference > 0 ||
+				typeof variable.value !== "string"
+			) {
+				return [variable];
+			}
+
+			const lookup = this.getVariableLookup(variable.value);
+			if (!lookup) {
+				return [variable];
+			}
+
+			return [
+				variable,
+				this.createLookupVariable(
+					`${LOOKUP_ROW_PREFIX}${variable.name}`,
+					lookup.document,
+					lookup.summary,
+				),
+			];
+		});
+	}
+
+	/**
+	 * Make a watch expression with a match expandable, with the match as its "🔍 lookup" child (Watch view)
+	 * Unknown values are searched in background, so they are labelled when the view refreshes
+	 * @param {any} body - Body of the evaluate response
+	 */
+	labelWatchResult(body) {
+		if (body.variablesReference > 0 || typeof body.result !== "string") {
+			return;
+		}
+
+		const lookup = this.getVariableLookup(body.result);
+		if (lookup) {
+			if (this.syntheticReferencesEnabled) {
+				body.variablesReference = this.createSyntheticReference({});
+				this.addLookupChild(
+					body.variablesReference,
+					lookup.document,
+					lookup.summary,
+				);
+			}
+			return;
+		}
+
+		const value = parseDebuggerValue(body.result);
+		if (value !== null && value !== "") {
+			searchMissingInBackground([value]);
+		}
+	}
+
+	/**
+	 * Create a synthetic variablesReference, expanded by the tracker instead of the debug adapter
+	 * @param {any} value - Object or array shown as the children
+	 * @returns {number}
+	 */
+	createSyntheticReference(value) {
+		const reference = this.nextSyntheticReference++;
+		this.syntheticValues.set(reference, value);
+		return reference;
+	}
+
+	/**
+	 * Create a variable of the Variables view for a value of a matched document
+	 * Objects and arrays get a synthetic reference, so they can be expanded
+	 * @param {string} name
+	 * @param {any} value
+	 * @returns {{name: string, value: string, variablesReference: number}}
+	 */
+	createSyntheticVariable(name, value) {
+		const isExpandable =
+			value !== null &&
+			typeof value === "object" &&
+			!(value instanceof Date) &&
+			value._bsontype === undefined;
+
+		return {
+			name,
+			value: formatSyntheticValue(value),
+			variablesReference: isExpandable
+				? this.createSyntheticReference(value)
+				: 0,
+		};
+	}
+
+	/**
+	 * Create a read-only variable holding a matched document, expanded to its fields
+	 * @param {string} name
+	 * @param {any} document - The matched document
+	 * @param {string} summary - Shown as the value of the variable
+	 * @returns {{name: string, value: string, variablesReference: number, presentationHint: Object}}
+	 */
+	createLookupVariable(name, document, summary) {
+		return {
+			...this.createSyntheticVariable(name, document),
+			value: summary,
+			presentationHint: LOOKUP_PRESENTATION_HINT,
+		};
+	}
+
+	/**
+	 * Add a "🔍 lookup" child to an object with a match, shown when it is expanded
+	 * The object keeps its own children, the matched document is the lookup child's
+	 * @param {number} variablesReference - Reference of the object
+	 * @param {any} document - The matched document
+	 * @param {string} summary - Shown as the value of the lookup child
+	 */
+	addLookupChild(variablesReference, document, summary) {
+		if (!this.syntheticReferencesEnabled) {
+			return;
+		}
+
+		this.lookupChildren.set(
+			variablesReference,
+			this.createLookupVariable(LOOKUP_CHILD_NAME, document, summary),
+		);
+	}
+
+	/**
+	 * Answer a variables request for a synthetic reference
+	 * The debug adapter doesn't know the reference and usually answers with an error, so the response is replaced
+	 * @param {any} response
+	 * @param {number} reference
+	 */
+	answerSyntheticVariables(response, reference) {
+		const value = this.syntheticValues.get(reference);
+		const entries = Array.isArray(value)
+			? value.map((item, index) => [String(index), item])
+			: Object.entries(value);
+		const variables = entries.map(([name, item]) =>
+			this.createSyntheticVariable(name, item),
+		);
+
+		// A watch expression with a match only has its lookup child
+		const lookupChild = this.lookupChildren.get(reference);
+
+		response.success = true;
+		delete response.message;
+		response.body = {
+			variables: lookupChild ? [lookupChild, ...variables] : variables,
+		};
+	}
+
+	/**
+	 * Turn off the synthetic references if the debug adapter returns a reference in their range
+	 * @param {any} response - Response of the debug adapter, before it is changed
+	 */
+	checkAdapterReferences(response) {
+		if (!this.syntheticReferencesEnabled || !response.body) {
+			return;
+		}
+
+		const references = [
+			response.body.variablesReference,
+			...(response.body.scopes || []).map((scope) => scope.variablesReference),
+			...(response.body.variables || []).map(
+				(variable) => variable.variablesReference,
+			),
+		];
+		if (references.some((reference) => reference >= SYNTHETIC_REFERENCE_BASE)) {
+			this.syntheticReferencesEnabled = false;
+			this.syntheticValues.clear();
+			this.lookupChildren.clear();
+			console.log(
+				`[HoverLookup] Debug adapter returned a variablesReference from ${SYNTHETIC_REFERENCE_BASE}, lookup rows are turned off for this session`,
+			);
+		}
 	}
 
 	onDidSendMessage(message) {
+		const request =
+			message.type === "response" ? this.takeRequest(message) : null;
+
+		// References are only valid while the debugger is stopped
 		if (
-			message.type === "response" &&
-			message.command === "evaluate" &&
-			message.success
+			message.type === "event" &&
+			(message.event === "stopped" || message.event === "continued")
 		) {
+			this.syntheticValues.clear();
+			this.lookupChildren.clear();
+		}
+
+		if (message.type === "response" && message.command === "variables") {
+			const reference = request?.arguments?.variablesReference;
+			if (this.syntheticValues.has(reference)) {
+				this.answerSyntheticVariables(message, reference);
+				return;
+			}
+		}
+
+		if (message.type === "response") {
+			this.checkAdapterReferences(message);
+		}
+
+		if (message.type === "event" || message.command !== "evaluate") {
+			// Before labelling, which adds rows to the locals
+			this.trackStop(message, request);
+
+			if (
+				message.type === "response" &&
+				message.command === "variables" &&
+				message.success &&
+				message.body
+			) {
+				// Indexed ranges (e.g., a chunk of a large array) only hold the elements
+				if (request?.arguments?.filter === "indexed") {
+					return;
+				}
+
+				message.body.variables = this.labelVariables(
+					message.body.variables || [],
+				);
+
+				const lookupChild = this.lookupChildren.get(
+					request?.arguments?.variablesReference,
+				);
+				if (lookupChild && !request.arguments.start) {
+					message.body.variables = [
+						lookupChild,
+						...(message.body.variables || []),
+					];
+				}
+			}
+			return;
+		}
+
+		if (message.type === "response" && message.success) {
 			const body = message.body;
 			if (!body) return;
 
@@ -103,6 +595,12 @@ class LookupDebugAdapterTracker {
 				return;
 			}
 
+			// The Watch view shows a short label, the whole document stays in the hover
+			if (request?.arguments?.context === "watch") {
+				this.labelWatchResult(body);
+				return;
+			}
+
 			console.log(
 				`[HoverLookup] Debug adapter received: result="${result}", variablesReference=${body.variablesReference}`,
 			);
@@ -111,6 +609,9 @@ class LookupDebugAdapterTracker {
 			let matchedValue = null;
 			let dbResult = null;
 			let source = null;
+			let sourceName = null;
+			let matchedField = null;
+			let matchedPattern = null;
 			let lookupTime = 0;
 
 			// Try to parse as object first
@@ -130,30 +631,29 @@ class LookupDebugAdapterTracker {
 					if (multiSearch) {
 						dbResult = multiSearch.result;
 						source = multiSearch.source;
+						sourceName = multiSearch.sourceName;
 						lookupTime = multiSearch.lookupTime;
 						matchedValue = multiSearch.matchedValue;
+						matchedField = multiSearch.matchedField;
+						matchedPattern = multiSearch.matchedPattern;
 
 						console.log(
 							`[HoverLookup] Debug adapter: Found match using object value: ${matchedValue}`,
 						);
+
+						// Refresh a stale value for next time
+						if (multiSearch.stale) {
+							searchMissingInBackground([matchedValue]);
+						}
 					} else {
 						// Not found in cache - trigger background search for all values
-						for (const value of objectValues) {
-							searchMongoDatabase(String(value)).catch((error) => {
-								console.error(
-									`[HoverLookup] Background MongoDB search failed for value ${value}: ${error.message}`,
-								);
-							});
-						}
+						searchMissingInBackground(objectValues);
 					}
 				}
 			} else {
 				// It's a primitive value
 				if (typeof lookupValue === "string") {
-					const stringMatch = lookupValue.match(/^['"](.*)['"]$/);
-					if (stringMatch) {
-						lookupValue = stringMatch[1];
-					}
+					lookupValue = parseDebuggerValue(lookupValue) ?? lookupValue;
 				}
 
 				const searchResult = searchSynchronously(lookupValue);
@@ -161,15 +661,19 @@ class LookupDebugAdapterTracker {
 				if (searchResult) {
 					dbResult = searchResult.result;
 					source = searchResult.source;
+					sourceName = searchResult.sourceName;
 					lookupTime = searchResult.lookupTime;
 					matchedValue = lookupValue;
+					matchedField = searchResult.matchedField;
+					matchedPattern = searchResult.matchedPattern;
+
+					// Refresh a stale value for next time
+					if (searchResult.stale) {
+						searchMissingInBackground([lookupValue]);
+					}
 				} else {
 					// Not in cache - start async search in background for next time
-					searchMongoDatabase(String(lookupValue)).catch((error) => {
-						console.error(
-							`[HoverLookup] Background MongoDB search failed: ${error.message}`,
-						);
-					});
+					searchMissingInBackground([lookupValue]);
 				}
 			}
 
@@ -178,32 +682,48 @@ class LookupDebugAdapterTracker {
 					`[HoverLookup] Debug lookup for "${lookupValue}": ${lookupTime.toFixed(3)}ms (from ${source})`,
 				);
 
-				const _lookupTime = +lookupTime.toFixed(3);
-
-				const dbInfo = JSON.stringify(dbResult, null, 2);
-
-				// Format the enriched result with simple text formatting
-				// Debug hover doesn't support markdown, so we use plain text
 				// Only pass matchedValue if it's different from lookupValue (i.e., it's from an object)
 				const headerMatchedValue =
 					matchedValue !== null && String(matchedValue) !== String(lookupValue)
 						? matchedValue
 						: undefined;
 
+				// Objects stay expandable: the match is shown as a "🔍 lookup" child
+				if (body.variablesReference > 0) {
+					const label = getDisplayLabel(dbResult, sourceName);
+					this.addLookupChild(
+						body.variablesReference,
+						dbResult,
+						formatLookupSummaryPlainText({
+							label,
+							source,
+							matchedValue: headerMatchedValue,
+						}),
+					);
+					if (label !== null) {
+						message.body.result = formatVariableLabel(result, label);
+					}
+					return;
+				}
+
+				const _lookupTime = +lookupTime.toFixed(3);
+
+				const dbInfo = JSON.stringify(dbResult, null, 2);
+
+				// Format the enriched result with simple text formatting
+				// Debug hover doesn't support markdown, so we use plain text
 				const header = formatTooltipHeaderPlainText({
 					lookupTimeMs: _lookupTime,
 					source,
 					matchedValue: headerMatchedValue,
+					matchedField,
+					matchedPattern,
 				});
 
 				const enrichedResult = `${result}${header}${dbInfo}`;
 
 				// Modify the message body
 				message.body.result = enrichedResult;
-
-				// Force variablesReference to 0 to show our enriched text tooltip
-				// instead of the expandable object tooltip
-				message.body.variablesReference = 0;
 			}
 		}
 	}
@@ -16,12 +16,38 @@ export const CONFIG_PROPS = {
 	ENABLE_JSON_DATABASE: "enableJsonDatabase",
 	ENABLE_MONGODB: "enableMongoDB",
 	DATABASE_PATHS: "databasePaths",
+	DATABASE_ID_FIELDS: "databaseIdFields",
+	KEY_NORMALIZATION: "keyNormalization",
 	MONGODB_URL: "mongodbUrl",
 	MONGODB_DATABASES: "mongodbDatabases",
 	MONGODB_COLLECTIONS: "mongodbCollections",
 	MONGODB_MAX_CACHE_SIZE: "mongodbMaxCacheSize",
 	MONGODB_CACHE_TTL_MINUTES: "mongodbCacheTtlMinutes",
+	MONGODB_MISS_CACHE_TTL_MINUTES: "mongodbMissCacheTtlMinutes",
+	PERSISTENT_CACHE: "persistentCache",
+	PERSISTENT_CACHE_TTL_HOURS: "persistentCacheTtlHours",
+	PERSISTENT_CACHE_MAX_ENTRIES: "persistentCacheMaxEntries",
+	PERSISTENT_CACHE_ENCRYPTION: "persistentCacheEncryption",
+	PREFETCH: "prefetch",
+	PREFETCH_MAX_LITERALS_PER_FILE: "prefetchMaxLiteralsPerFile",
+	PREFETCH_MAX_VALUES_PER_MINUTE: "prefetchMaxValuesPerMinute",
+	MONGODB_SEARCH_STRATEGY: "mongodbSearchStrategy",
+	MONGODB_MAX_CONCURRENT_QUERIES: "mongodbMaxConcurrentQueries",
+	QUERY_TIMEOUT_MS: "queryTimeoutMs",
+	HOVER_TIMEOUT_MS: "hoverTimeoutMs",
 	MAX_HOVER_SIZE: "maxHoverSize",
+	SHOW_ALL_MATCHES: "showAllMatches",
+	RELATION_DEPTH: "relationDepth",
+	DISPLAY_FIELDS: "displayFields",
+	EXTRACTION_RULES: "extractionRules",
+	ENABLE_SQLITE: "enableSQLite",
+	SQLITE_PATHS: "sqlitePaths",
+	SQLITE_TABLES: "sqliteTables",
+	ENABLE_SQL: "enableSql",
+	SQL_URL: "sqlUrl",
+	SQL_TABLES: "sqlTables",
+	ENABLE_HTTP: "enableHttp",
+	HTTP_ENDPOINTS: "httpEndpoints",
 };
 
 /**
@@ -31,12 +57,38 @@ export const CONFIG_KEYS = {
 	ENABLE_JSON_DATABASE: `${CONFIG_NAMESPACE}.${CONFIG_PROPS.ENABLE_JSON_DATABASE}`,
 	ENABLE_MONGODB: `${CONFIG_NAMESPACE}.${CONFIG_PROPS.ENABLE_MONGODB}`,
 	DATABASE_PATHS: `${CONFIG_NAMESPACE}.${CONFIG_PROPS.DATABASE_PATHS}`,
+	DATABASE_ID_FIELDS: `${CONFIG_NAMESPACE}.${CONFIG_PROPS.DATABASE_ID_FIELDS}`,
+	KEY_NORMALIZATION: `${CONFIG_NAMESPACE}.${CONFIG_PROPS.KEY_NORMALIZATION}`,
 	MONGODB_URL: `${CONFIG_NAMESPACE}.${CONFIG_PROPS.MONGODB_URL}`,
 	MONGODB_DATABASES: `${CONFIG_NAMESPACE}.${CONFIG_PROPS.MONGODB_DATABASES}`,
 	MONGODB_COLLECTIONS: `${CONFIG_NAMESPACE}.${CONFIG_PROPS.MONGODB_COLLECTIONS}`,
 	MONGODB_MAX_CACHE_SIZE: `${CONFIG_NAMESPACE}.${CONFIG_PROPS.MONGODB_MAX_CACHE_SIZE}`,
 	MONGODB_CACHE_TTL_MINUTES: `${CONFIG_NAMESPACE}.${CONFIG_PROPS.MONGODB_CACHE_TTL_MINUTES}`,
+	MONGODB_MISS_CACHE_TTL_MINUTES: `${CONFIG_NAMESPACE}.${CONFIG_PROPS.MONGODB_MISS_CACHE_TTL_MINUTES}`,
+	PERSISTENT_CACHE: `${CONFIG_NAMESPACE}.${CONFIG_PROPS.PERSISTENT_CACHE}`,
+	PERSISTENT_CACHE_TTL_HOURS: `${CONFIG_NAMESPACE}.${CONFIG_PROPS.PERSISTENT_CACHE_TTL_HOURS}`,
+	PERSISTENT_CACHE_MAX_ENTRIES: `${CONFIG_NAMESPACE}.${CONFIG_PROPS.PERSISTENT_CACHE_MAX_ENTRIES}`,
+	PERSISTENT_CACHE_ENCRYPTION: `${CONFIG_NAMESPACE}.${CONFIG_PROPS.PERSISTENT_CACHE_ENCRYPTION}`,
+	PREFETCH: `${CONFIG_NAMESPACE}.${CONFIG_PROPS.PREFETCH}`,
+	PREFETCH_MAX_LITERALS_PER_FILE: `${CONFIG_NAMESPACE}.${CONFIG_PROPS.PREFETCH_MAX_LITERALS_PER_FILE}`,
+	PREFETCH_MAX_VALUES_PER_MINUTE: `${CONFIG_NAMESPACE}.${CONFIG_PROPS.PREFETCH_MAX_VALUES_PER_MINUTE}`,
+	MONGODB_SEARCH_STRATEGY: `${CONFIG_NAMESPACE}.${CONFIG_PROPS.MONGODB_SEARCH_STRATEGY}`,
+	MONGODB_MAX_CONCURRENT_QUERIES: `${CONFIG_NAMESPACE}.${CONFIG_PROPS.MONGODB_MAX_CONCURRENT_QUERIES}`,
+	QUERY_TIMEOUT_MS: `${CONFIG_NAMESPACE}.${CONFIG_PROPS.QUERY_TIMEOUT_MS}`,
+	HOVER_TIMEOUT_MS: `${CONFIG_NAMESPACE}.${CONFIG_PROPS.HOVER_TIMEOUT_MS}`,
 	MAX_HOVER_SIZE: `${CONFIG_NAMESPACE}.${CONFIG_PROPS.MAX_HOVER_SIZE}`,
+	SHOW_ALL_MATCHES: `${CONFIG_NAMESPACE}.${CONFIG_PROPS.SHOW_ALL_MATCHES}`,
+	RELATION_DEPTH: `${CONFIG_NAMESPACE}.${CONFIG_PROPS.RELATION_DEPTH}`,
+	DISPLAY_FIELDS: `${CONFIG_NAMESPACE}.${CONFIG_PROPS.DISPLAY_FIELDS}`,
+	EXTRACTION_RULES: `${CONFIG_NAMESPACE}.${CONFIG_PROPS.EXTRACTION_RULES}`,
+	ENABLE_SQLITE: `${CONFIG_NAMESPACE}.${CONFIG_PROPS.ENABLE_SQLITE}`,
+	SQLITE_PATHS: `${CONFIG_NAMESPACE}.${CONFIG_PROPS.SQLITE_PATHS}`,
+	SQLITE_TABLES: `${CONFIG_NAMESPACE}.${CONFIG_PROPS.SQLITE_TABLES}`,
+	ENABLE_SQL: `${CONFIG_NAMESPACE}.${CONFIG_PROPS.ENABLE_SQL}`,
+	SQL_URL: `${CONFIG_NAMESPACE}.${CONFIG_PROPS.SQL_URL}`,
+	SQL_TABLES: `${CONFIG_NAMESPACE}.${CONFIG_PROPS.SQL_TABLES}`,
+	ENABLE_HTTP: `${CONFIG_NAMESPACE}.${CONFIG_PROPS.ENABLE_HTTP}`,
+	HTTP_ENDPOINTS: `${CONFIG_NAMESPACE}.${CONFIG_PROPS.HTTP_ENDPOINTS}`,
 };
 
 /**
@@ -46,6 +98,13 @@ export const STATE_KEYS = {
 	HIDE_COLLECTIONS_WARNING: `${CONFIG_NAMESPACE}.hideCollectionsWarning`,
 };
 
+/**
+ * Secret storage keys
+ */
+export const SECRET_KEYS = {
+	PERSISTENT_CACHE_KEY: `${CONFIG_NAMESPACE}.persistentCacheKey`,
+};
+
 /**
  * Command IDs
  */
@@ -53,13 +112,17 @@ export const COMMAND_IDS = {
 	RELOAD_DATABASE: `${CONFIG_NAMESPACE}.reloadDatabase`,
 	INIT_DATABASE: `${CONFIG_NAMESPACE}.initDatabase`,
 	RECONNECT_MONGODB: `${CONFIG_NAMESPACE}.reconnectMongoDB`,
+	RECONNECT_SQL: `${CONFIG_NAMESPACE}.reconnectSql`,
 	TOGGLE_JSON_DATABASE: `${CONFIG_NAMESPACE}.toggleLookupJsonDatabase`,
 	TOGGLE_MONGODB: `${CONFIG_NAMESPACE}.toggleLookupMongoDB`,
 	OPEN_SETTINGS: `${CONFIG_NAMESPACE}.openSettings`,
 	CLEAR_MONGO_CACHE: `${CONFIG_NAMESPACE}.clearMongoCache`,
+	SHOW_MONGO_DISCOVERY_PLAN: `${CONFIG_NAMESPACE}.showMongoDiscoveryPlan`,
 };
 
 export const WINDOW_MESSAGES = {
 	DONT_SHOW_AGAIN: "Don't show again",
 	OPEN_SETTINGS: "Open Settings",
+	SHOW_DISCOVERY_PLAN: "Show Discovered Collections",
+	SAVE_TO_SETTINGS: "Save to Settings",
 };
@@ -1,6 +1,7 @@
 import * as vscode from "vscode";
 import { LookupDebugAdapterTrackerFactory } from "./adapters/debugAdapter.js";
 import {
+	COMMAND_IDS,
 	CONFIG_NAMESPACE,
 	CONFIG_PROPS,
 	STATE_KEYS,
@@ -14,34 +15,83 @@ import {
 	loadCombinedDatabase,
 	loadDatabase,
 } from "./utils/database.js";
-import { disconnectMongo } from "./utils/mongoDatabase.js";
+import {
+	clearMongoCache,
+	clearMongoMissCache,
+	disconnectMongo,
+} from "./utils/mongoDatabase.js";
+import { resetKeyNormalizer } from "./utils/normalization.js";
+import {
+	flushPersistentCache,
+	initPersistentCache,
+} from "./utils/persistentCache.js";
+import { createPrefetcher } from "./utils/prefetcher.js";
+import { disconnectSql } from "./utils/sqlDatabase.js";
+import {
+	closeSqliteDatabases,
+	getSqliteConfig,
+	loadSqliteDatabases,
+} from "./utils/sqliteDatabase.js";
+import { createMongoStatusBar } from "./utils/statusBar.js";
 
 // Store watchers to clean them up when configuration changes
 let fileWatchers = [];
+let sqliteFileWatchers = [];
 
 /**
- * Setup file watchers for database files
- * @param {string[]} dbPaths
+ * Dispose watchers and create new ones for the given paths
+ * @param {vscode.FileSystemWatcher[]} watchers - Watchers to dispose
+ * @param {string[]} paths
+ * @param {() => void} onChange
  * @param {vscode.ExtensionContext} context
+ * @returns {vscode.FileSystemWatcher[]} - The new watchers
  */
-function setupFileWatchers(dbPaths, context) {
+function replaceFileWatchers(watchers, paths, onChange, context) {
 	// Clean up existing watchers
-	for (const watcher of fileWatchers) {
+	for (const watcher of watchers) {
 		watcher.dispose();
 	}
-	fileWatchers = [];
 
 	// Create new watchers
-	if (dbPaths && dbPaths.length > 0) {
-		for (const dbPath of dbPaths) {
-			const watcher = vscode.workspace.createFileSystemWatcher(dbPath);
-			watcher.onDidChange(() => {
-				loadDatabase(dbPaths);
-			});
-			fileWatchers.push(watcher);
+	const newWatchers = [];
+	if (paths && paths.length > 0) {
+		for (const filePath of paths) {
+			const watcher = vscode.workspace.createFileSystemWatcher(filePath);
+			watcher.onDidChange(onChange);
+			newWatchers.push(watcher);
 			context.subscriptions.push(watcher);
 		}
 	}
+
+	return newWatchers;
+}
+
+/**
+ * Setup file watchers for database files
+ * @param {string[]} dbPaths
+ * @param {vscode.ExtensionContext} context
+ */
+function setupFileWatchers(dbPaths, context) {
+	fileWatchers = replaceFileWatchers(
+		fileWatchers,
+		dbPaths,
+		() => loadDatabase(dbPaths),
+		context,
+	);
+}
+
+/**
+ * Setup file watchers for SQLite files
+ * @param {vscode.ExtensionContext} context
+ */
+function setupSqliteFileWatchers(context) {
+	const { paths } = getSqliteConfig();
+	sqliteFileWatchers = replaceFileWatchers(
+		sqliteFileWatchers,
+		paths,
+		() => loadSqliteDatabases(),
+		context,
+	);
 }
 
 /**
@@ -56,6 +106,12 @@ function activate(context) {
 	}
 	// Note: If no JSON files are configured, MongoDB will be queried on-demand
 
+	// Load SQLite files in memory so they can be queried synchronously
+	loadSqliteDatabases();
+
+	// Restore values cached in previous sessions, so the debugger finds them right away
+	initPersistentCache(context);
+
 	// Check MongoDB configuration on activation
 	const config = vscode.workspace.getConfiguration(CONFIG_NAMESPACE);
 	const databases = config.get(CONFIG_PROPS.MONGODB_DATABASES) || [];
@@ -68,12 +124,15 @@ function activate(context) {
 	if (databases.length > 0 && collections.length === 0 && !hideWarning) {
 		vscode.window
 			.showWarningMessage(
-				`HoverLookup: No collections defined. MongoDB will search in all collections, which may be slow. Consider configuring "${CONFIG_PROPS.MONGODB_COLLECTIONS}" for better performance.`,
+				`HoverLookup: No collections defined. MongoDB will search in all collections, with search fields inferred from their indexes, which may be slow. Consider configuring "${CONFIG_PROPS.MONGODB_COLLECTIONS}" for better performance.`,
+				WINDOW_MESSAGES.SHOW_DISCOVERY_PLAN,
 				WINDOW_MESSAGES.OPEN_SETTINGS,
 				WINDOW_MESSAGES.DONT_SHOW_AGAIN,
 			)
 			.then((selection) => {
-				if (selection === WINDOW_MESSAGES.OPEN_SETTINGS) {
+				if (selection === WINDOW_MESSAGES.SHOW_DISCOVERY_PLAN) {
+					vscode.commands.executeCommand(COMMAND_IDS.SHOW_MONGO_DISCOVERY_PLAN);
+				} else if (selection === WINDOW_MESSAGES.OPEN_SETTINGS) {
 					vscode.commands.executeCommand(
 						"workbench.action.openSettings",
 						`@ext:Icaruk.${CONFIG_NAMESPACE} ${CONFIG_PROPS.MONGODB_COLLECTIONS}`,
@@ -100,13 +159,35 @@ function activate(context) {
 	// Register all commands
 	registerAllCommands(context);
 
+	// Show the MongoDB connection state
+	createMongoStatusBar(context);
+
+	// Search the visible literals in background, so the debugger finds them on the first hover
+	createPrefetcher(context);
+
 	// Setup file watchers
 	setupFileWatchers(dbPaths, context);
+	setupSqliteFileWatchers(context);
 
 	// Watch for configuration changes
 	const configWatcher = vscode.workspace.onDidChangeConfiguration(
 		async (event) => {
 			if (eventAffectsConfiguration.anyDatabase(event)) {
+				// Values missing from the previous sources may be found in the new ones
+				clearMongoMissCache();
+
+				// Cached keys were normalized with the previous pipeline
+				// The JSON database is reindexed below, since it also affects jsonDatabasePaths
+				if (eventAffectsConfiguration.keyNormalization(event)) {
+					resetKeyNormalizer();
+					clearMongoCache();
+				}
+
+				// Cached values came from the previous servers (the persistent cache file is deleted with them)
+				if (eventAffectsConfiguration.remoteServers(event)) {
+					clearMongoCache();
+				}
+
 				// Reload JSON database if paths changed
 				if (eventAffectsConfiguration.jsonDatabasePaths(event)) {
 					const newDbPaths = getDatabasePath();
@@ -116,6 +197,20 @@ function activate(context) {
 					}
 				}
 
+				// Reload SQLite files if paths changed
+				if (eventAffectsConfiguration.sqlitePaths(event)) {
+					await loadSqliteDatabases();
+					setupSqliteFileWatchers(context);
+				}
+
+				// Reconnect SQL database if SQL config changed
+				if (eventAffectsConfiguration.sql(event)) {
+					console.log(
+						"[HoverLookup] SQL configuration changed, reconnecting...",
+					);
+					await disconnectSql();
+				}
+
 				// Reconnect MongoDB if MongoDB config changed
 				if (eventAffectsConfiguration.mongoDb(event)) {
 					console.log(
@@ -133,11 +228,16 @@ function activate(context) {
 						if (databases.length > 0 && collections.length === 0) {
 							vscode.window
 								.showWarningMessage(
-									`HoverLookup: No collections defined. MongoDB will search in all collections, which may be slow. Consider configuring "${CONFIG_PROPS.MONGODB_COLLECTIONS}" for better performance.`,
+									`HoverLookup: No collections defined. MongoDB will search in all collections, with search fields inferred from their indexes, which may be slow. Consider configuring "${CONFIG_PROPS.MONGODB_COLLECTIONS}" for better performance.`,
+									WINDOW_MESSAGES.SHOW_DISCOVERY_PLAN,
 									WINDOW_MESSAGES.OPEN_SETTINGS,
 								)
 								.then((selection) => {
-									if (selection === WINDOW_MESSAGES.OPEN_SETTINGS) {
+									if (selection === WINDOW_MESSAGES.SHOW_DISCOVERY_PLAN) {
+										vscode.commands.executeCommand(
+											COMMAND_IDS.SHOW_MONGO_DISCOVERY_PLAN,
+										);
+									} else if (selection === WINDOW_MESSAGES.OPEN_SETTINGS) {
 										vscode.commands.executeCommand(
 											"workbench.action.openSettings",
 											`@ext:Icaruk.${CONFIG_NAMESPACE} ${CONFIG_PROPS.MONGODB_COLLECTIONS}`,
@@ -164,7 +264,10 @@ function activate(context) {
 }
 
 async function deactivate() {
+	await flushPersistentCache();
 	await disconnectMongo();
+	await disconnectSql();
+	closeSqliteDatabases();
 }
 
 export { activate, deactivate };
@@ -1,18 +1,52 @@
 import * as vscode from "vscode";
 import { CONFIG_NAMESPACE, CONFIG_PROPS } from "../constants/config.js";
 import {
-	getDatabase,
-	getDatabaseSource,
-	isJsonDatabaseEnabled,
+	searchLocalDatabase,
+	searchLocalDatabaseAll,
 } from "../utils/database.js";
-import { searchMongoDatabase } from "../utils/mongoDatabase.js";
+import {
+	extractCandidates,
+	sortCandidatesByCursor,
+} from "../utils/extraction.js";
+import {
+	searchHttpDatabase,
+	searchHttpDatabaseAll,
+} from "../utils/httpDatabase.js";
+import {
+	createHoverLookupOptions,
+	isLookupComplete,
+} from "../utils/lookupTimeout.js";
+import {
+	addToMongoMissCache,
+	getFromMongoCache,
+	isKnownMongoMiss,
+	searchMongoDatabase,
+	searchMongoDatabaseAll,
+	searchMongoDatabaseBatch,
+	searchMongoDatabaseBatchAll,
+} from "../utils/mongoDatabase.js";
 import {
 	extractNumberAtPosition,
 	extractStringAtPosition,
 	getNumberRangeAtPosition,
 	getStringRangeAtPosition,
 } from "../utils/parser.js";
-import { formatTooltipHeaderMarkdown } from "../utils/tooltip.js";
+import { resolveRelations } from "../utils/relations.js";
+import {
+	searchSqlDatabase,
+	searchSqlDatabaseAll,
+} from "../utils/sqlDatabase.js";
+import {
+	searchSqliteDatabase,
+	searchSqliteDatabaseAll,
+} from "../utils/sqliteDatabase.js";
+import {
+	formatMatchSectionMarkdown,
+	formatRelationTitleMarkdown,
+	formatStaleNoteMarkdown,
+	formatTimeoutNoteMarkdown,
+	formatTooltipHeaderMarkdown,
+} from "../utils/tooltip.js";
 import {
 	extractObjectValues,
 	findVariableValue,
@@ -58,51 +92,305 @@ function truncateLargeObject(obj, maxLength = null) {
 }
 
 /**
- * Search for a value in databases (JSON and MongoDB)
+ * Check if the hover shows every match instead of the first one
+ * @returns {boolean}
+ */
+function isShowAllMatchesEnabled() {
+	const config = vscode.workspace.getConfiguration(CONFIG_NAMESPACE);
+	return config.get(CONFIG_PROPS.SHOW_ALL_MATCHES) === true; // Default to false
+}
+
+/**
+ * Search for a value in databases (JSON, SQLite, MongoDB, PostgreSQL/MySQL and HTTP)
+ * Sources are searched in that order. The first match wins, unless hoverLookup.showAllMatches is enabled
+ * When a remote source times out or fails, the value cached earlier is returned instead, with savedAt set
+ * Relations declared by the sources are resolved for every match
  * @param {string|number} searchValue - The value to search for
- * @returns {Promise<{result: any, source: string, lookupTime: number} | null>}
+ * @param {import("../utils/lookupTimeout.js").LookupOptions} [options] - Lookup timeout and cancellation
+ * @param {Function | null} [mongoSearch] - Replaces the MongoDB search (e.g., with a batch search, see createMongoBatchSearch)
+ * @returns {Promise<{result: any, source: string, lookupTime: number, matchedField: string | null, matchedPattern: string | null, related: Array<Object>, matches: Array<{result: any, source: string, matchedField: string | null, matchedPattern: string | null, related: Array<Object>}>} | null>}
  */
-async function searchInDatabases(searchValue) {
-	let result = null;
-	let source = null;
+async function searchInDatabases(
+	searchValue,
+	options = {},
+	mongoSearch = null,
+) {
+	const all = isShowAllMatchesEnabled();
+	const localSearches = all
+		? [searchLocalDatabaseAll, searchSqliteDatabaseAll]
+		: [searchLocalDatabase, searchSqliteDatabase];
+	const remoteSearches = all
+		? [
+				mongoSearch ?? searchMongoDatabaseAll,
+				searchSqlDatabaseAll,
+				searchHttpDatabaseAll,
+			]
+		: [
+				mongoSearch ?? searchMongoDatabase,
+				searchSqlDatabase,
+				searchHttpDatabase,
+			];
+	const matches = [];
 	let lookupTime = 0;
 
-	// Try JSON database first if enabled
-	if (isJsonDatabaseEnabled()) {
-		const database = getDatabase();
-		const lookupStart = performance.now();
-		result = database[String(searchValue)];
-		source = getDatabaseSource(String(searchValue));
-		lookupTime = performance.now() - lookupStart;
-	}
+	/**
+	 * Run searches in order, adding their matches
+	 * @param {Function[]} searches
+	 * @param {import("../utils/lookupTimeout.js").LookupOptions} [searchOptions]
+	 * @returns {Promise<number>} - Number of matches found
+	 */
+	const runSearches = async (searches, searchOptions = {}) => {
+		const matchCount = matches.length;
+
+		for (const search of searches) {
+			if (searchOptions.signal?.aborted) {
+				break;
+			}
 
-	// If not found in JSON database, search in MongoDB
-	if (!result) {
-		const mongoStart = performance.now();
-		const mongoResult = await searchMongoDatabase(String(searchValue));
-		lookupTime += performance.now() - mongoStart;
-		if (mongoResult) {
-			result = mongoResult.document;
-			source = mongoResult.source;
+			const searchStart = performance.now();
+			const found = await search(searchValue, searchOptions);
+			lookupTime += performance.now() - searchStart;
+
+			// "All" searches return arrays, the others a single match or null
+			for (const match of [found].flat()) {
+				if (match) {
+					matches.push({
+						result: match.document,
+						source: match.source,
+						matchedField: match.matchedField || null,
+						matchedPattern: match.matchedPattern || null,
+						relations: match.relations || [],
+					});
+				}
+			}
+
+			if (!all && matches.length > 0) {
+				break;
+			}
+		}
+
+		return matches.length - matchCount;
+	};
+
+	await runSearches(localSearches);
+
+	// Remote sources are skipped for values they are known not to have (hoverLookup.mongodbMissCacheTtlMinutes)
+	if (all || matches.length === 0) {
+		if (isKnownMongoMiss(searchValue)) {
+			console.log(
+				`[HoverLookup] "${searchValue}" is known to be missing from remote sources`,
+			);
+		} else {
+			// Timeouts and failures are collected separately, since a value isn't known to be missing from a source that didn't answer
+			const remoteOptions = {
+				signal: options.signal,
+				timedOut: new Set(),
+				failed: new Set(),
+			};
+			const remoteMatchCount = await runSearches(remoteSearches, remoteOptions);
+			for (const source of remoteOptions.timedOut) {
+				options.timedOut?.add(source);
+			}
+			for (const source of remoteOptions.failed) {
+				options.failed?.add(source);
+			}
+
+			if (remoteMatchCount === 0) {
+				if (!isLookupComplete(remoteOptions)) {
+					// A source timed out or failed: fall back to the value cached earlier, stale included (hoverLookup.persistentCache)
+					const cached = getFromMongoCache(searchValue);
+					if (cached) {
+						matches.push({
+							result: cached.document,
+							source: `${cached.source} (cached)`,
+							matchedField: cached.matchedField,
+							matchedPattern: null,
+							relations: [],
+							savedAt: cached.timestamp,
+						});
+					}
+				} else if (!options.signal?.aborted) {
+					addToMongoMissCache(searchValue);
+				}
+			}
 		}
 	}
 
-	if (result) {
-		return { result, source, lookupTime };
+	if (matches.length === 0) {
+		return null;
 	}
 
-	return null;
+	// Embed related records (e.g., customerId -> users.id)
+	const relationsStart = performance.now();
+	for (const match of matches) {
+		match.related = await resolveRelations(
+			match.result,
+			match.source,
+			match.relations,
+			options,
+		);
+	}
+	lookupTime += performance.now() - relationsStart;
+
+	return { ...matches[0], lookupTime, matches };
+}
+
+/**
+ * Append a result as a JSON code block, truncated to prevent "414 URI Too Long" errors
+ * @param {vscode.MarkdownString} markdown
+ * @param {any} result
+ * @param {number} [maxLength] - Maximum size (default: from config)
+ */
+function appendResult(markdown, result, maxLength = null) {
+	const displayResult = truncateLargeObject(result, maxLength);
+
+	// If truncated, show warning message
+	if (displayResult._truncated) {
+		markdown.appendMarkdown(`${displayResult._message}\n\n`);
+		markdown.appendCodeblock(displayResult._preview, "json");
+	} else {
+		markdown.appendCodeblock(JSON.stringify(result, null, 2), "json");
+	}
+}
+
+/**
+ * List related documents in display order: each one followed by its own related documents
+ * @param {Array<Object>} related - Resolved relations (see resolveRelations)
+ * @param {Array<Object>} [parentPath] - Relations followed to reach them
+ * @returns {Array<{path: Array<Object>, source: string, document: any}>}
+ */
+function flattenRelations(related, parentPath = []) {
+	return related.flatMap((relation) => {
+		const path = [...parentPath, relation];
+		return [
+			{ path, source: relation.source, document: relation.document },
+			...flattenRelations(relation.related, path),
+		];
+	});
+}
+
+/**
+ * Append a match followed by its related documents
+ * The size limit is shared between the document and its related documents
+ * @param {vscode.MarkdownString} markdown
+ * @param {{result: any, related?: Array<Object>, savedAt?: number}} match - savedAt marks a value served from the cache while offline
+ * @param {number} [maxLength] - Maximum size (default: from config)
+ */
+function appendDocument(
+	markdown,
+	{ result, related = [], savedAt },
+	maxLength = null,
+) {
+	// Values served from the cache while the server couldn't be reached
+	if (savedAt) {
+		markdown.appendMarkdown(`${formatStaleNoteMarkdown(savedAt)}\n\n`);
+	}
+
+	const relatedDocuments = flattenRelations(related);
+	const sectionLength = Math.floor(
+		(maxLength || getMaxHoverSize()) / (1 + relatedDocuments.length),
+	);
+
+	appendResult(markdown, result, sectionLength);
+
+	for (const { path, source, document } of relatedDocuments) {
+		markdown.appendMarkdown(formatRelationTitleMarkdown({ path, source }));
+		appendResult(markdown, document, sectionLength);
+	}
+}
+
+/**
+ * Append every match in its own section, labelled with its source
+ * maxHoverSize is shared between the matches, so the whole hover stays within it
+ * @param {vscode.MarkdownString} markdown
+ * @param {Object} params
+ * @param {string} params.word
+ * @param {number} params.lookupTimeMs
+ * @param {string|number} [params.matchedValue]
+ * @param {Array<{result: any, source: string, matchedField: string | null, matchedPattern: string | null}>} params.matches
+ */
+function appendAllMatches(
+	markdown,
+	{ word, lookupTimeMs, matchedValue, matches },
+) {
+	// Matches of candidates extracted from a string show their own value
+	const hasOwnMatchedValues = matches.some(({ matchedValue }) => matchedValue);
+	markdown.appendMarkdown(
+		formatTooltipHeaderMarkdown({
+			word,
+			lookupTimeMs,
+			matchedValue: hasOwnMatchedValues ? undefined : matchedValue,
+			matchCount: matches.length,
+		}),
+	);
+
+	const maxLength = Math.floor(getMaxHoverSize() / matches.length);
+
+	matches.forEach((match, index) => {
+		if (index > 0) {
+			markdown.appendMarkdown("\n\n");
+		}
+		markdown.appendMarkdown(
+			formatMatchSectionMarkdown({
+				index: index + 1,
+				source: match.source,
+				matchedValue: match.matchedValue,
+				matchedField: match.matchedField,
+				matchedPattern: match.matchedPattern,
+			}),
+		);
+		appendDocument(markdown, match, maxLength);
+	});
+}
+
+/**
+ * Create a MongoDB search answering from one batch query for every value (one $in query per collection)
+ * The batch runs on first use, so values found locally don't query MongoDB at all
+ * @param {Array<string|number>} values - Every value that may be searched
+ * @returns {(searchValue: string|number, options?: import("../utils/lookupTimeout.js").LookupOptions) => Promise<any>} - Same results as searchMongoDatabase (or searchMongoDatabaseAll)
+ */
+function createMongoBatchSearch(values) {
+	const all = isShowAllMatchesEnabled();
+	const timedOut = new Set();
+	const failed = new Set();
+	let batch = null;
+
+	return async (searchValue, options = {}) => {
+		batch ??= (all ? searchMongoDatabaseBatchAll : searchMongoDatabaseBatch)(
+			values,
+			{ signal: options.signal, timedOut, failed },
+		);
+		const matchesByValue = await batch;
+
+		// Each value's search reports the timeouts and failures, so it isn't cached as missing
+		for (const source of timedOut) {
+			options.timedOut?.add(source);
+		}
+		for (const source of failed) {
+			options.failed?.add(source);
+		}
+
+		return matchesByValue.get(searchValue) ?? (all ? [] : null);
+	};
 }
 
 /**
  * Search using multiple values from an object
  * Tries each value sequentially until a match is found
+ * MongoDB is queried once for every value (see createMongoBatchSearch)
  * @param {Array<string|number>} values - Array of values to search
- * @returns {Promise<{result: any, source: string, lookupTime: number, matchedValue: string|number} | null>}
+ * @param {import("../utils/lookupTimeout.js").LookupOptions} [options] - Lookup timeout and cancellation
+ * @returns {Promise<{result: any, source: string, lookupTime: number, matchedField: string | null, matches: Array<Object>, matchedValue: string|number} | null>}
  */
-async function searchWithMultipleValues(values) {
+async function searchWithMultipleValues(values, options = {}) {
+	const mongoSearch = createMongoBatchSearch(values);
+
 	for (const value of values) {
-		const searchResult = await searchInDatabases(value);
+		if (options.signal?.aborted) {
+			break;
+		}
+
+		const searchResult = await searchInDatabases(value, options, mongoSearch);
 		if (searchResult) {
 			return {
 				...searchResult,
@@ -113,12 +401,61 @@ async function searchWithMultipleValues(values) {
 	return null;
 }
 
+/**
+ * Search the IDs found inside a string (hoverLookup.extractionRules)
+ * Every candidate is searched. Matches of the candidate closest to the cursor come first
+ * @param {string} text - The string, e.g., "/users/42/orders/ORD-9876-001"
+ * @param {number | null} [cursorOffset] - Cursor offset in the string, null if unknown
+ * @param {import("../utils/lookupTimeout.js").LookupOptions} [options] - Lookup timeout and cancellation
+ * @returns {Promise<{result: any, source: string, lookupTime: number, matchedField: string | null, matchedPattern: string | null, matches: Array<Object>, matchedValue: string, candidate: {value: string, start: number, end: number}} | null>}
+ */
+async function searchCandidates(text, cursorOffset = null, options = {}) {
+	const candidates = sortCandidatesByCursor(
+		extractCandidates(text),
+		cursorOffset,
+	);
+	const matches = [];
+	let lookupTime = 0;
+	let preferredCandidate = null;
+
+	for (const candidate of candidates) {
+		if (options.signal?.aborted) {
+			break;
+		}
+
+		const searchStart = performance.now();
+		const searchResult = await searchInDatabases(candidate.value, options);
+		lookupTime += performance.now() - searchStart;
+
+		if (searchResult) {
+			preferredCandidate ??= candidate;
+			for (const match of searchResult.matches) {
+				matches.push({ ...match, matchedValue: candidate.value });
+			}
+		}
+	}
+
+	if (matches.length === 0) {
+		return null;
+	}
+
+	return {
+		...matches[0],
+		lookupTime,
+		matches,
+		candidate: preferredCandidate,
+	};
+}
+
 /**
  * Hover provider for normal code editing (without debugger)
  * Detects literals and variables, looks them up in the database
+ * Remote queries are aborted when the hover is cancelled or takes longer than hoverLookup.hoverTimeoutMs
  */
 class LookupHoverProvider {
-	async provideHover(document, position) {
+	async provideHover(document, position, token) {
+		const lookupOptions = createHoverLookupOptions(token);
+
 		try {
 			// Check if debugger is active
 			const isDebugging = vscode.debug.activeDebugSession !== undefined;
@@ -132,17 +469,21 @@ class LookupHoverProvider {
 			const char = position.character;
 
 			let word = null;
+			// Typed value searched for the literal (a hovered 42 is a number, "42" a string)
+			let literalValue = null;
 			let isVariable = false;
 			let hoverRange = null;
 
 			const stringMatch = extractStringAtPosition(line, char);
 			if (stringMatch) {
 				word = stringMatch;
+				literalValue = stringMatch;
 				hoverRange = getStringRangeAtPosition(position, line, char);
 			} else {
 				const numberMatch = extractNumberAtPosition(line, char);
 				if (numberMatch !== null) {
 					word = String(numberMatch);
+					literalValue = numberMatch;
 					hoverRange = getNumberRangeAtPosition(position, line, char);
 				} else {
 					const range = document.getWordRangeAtPosition(position, /\w+/);
@@ -162,14 +503,52 @@ class LookupHoverProvider {
 			let source = null;
 			let lookupTime = 0;
 			let matchedValue = null;
+			let matchedField = null;
+			let matchedPattern = null;
+			let matches = [];
 
 			// First, try to search with the literal value (string or number)
-			const literalSearch = await searchInDatabases(word);
+			const literalSearch = await searchInDatabases(
+				literalValue ?? word,
+				lookupOptions,
+			);
 			if (literalSearch) {
 				result = literalSearch.result;
 				source = literalSearch.source;
 				lookupTime = literalSearch.lookupTime;
 				matchedValue = word;
+				matchedField = literalSearch.matchedField;
+				matchedPattern = literalSearch.matchedPattern;
+				matches = literalSearch.matches;
+			}
+
+			// If the whole string didn't match, try the IDs found inside it
+			if (!result && stringMatch && hoverRange) {
+				// The range includes the opening quote
+				const contentStart = hoverRange.start.character + 1;
+				const candidateSearch = await searchCandidates(
+					stringMatch,
+					char - contentStart,
+					lookupOptions,
+				);
+				if (candidateSearch) {
+					result = candidateSearch.result;
+					source = candidateSearch.source;
+					lookupTime = candidateSearch.lookupTime;
+					matchedValue = candidateSearch.matchedValue;
+					matchedField = candidateSearch.matchedField;
+					matchedPattern = candidateSearch.matchedPattern;
+					matches = candidateSearch.matches;
+
+					// Narrow the hover to the preferred candidate, so hovering another one shows it first
+					const { start, end } = candidateSearch.candidate;
+					hoverRange = new vscode.Range(
+						position.line,
+						contentStart + start,
+						position.line,
+						contentStart + end,
+					);
+				}
 			}
 
 			// If not found and it's a variable, resolve its value
@@ -208,12 +587,18 @@ class LookupHoverProvider {
 							);
 
 							// Search with each value until we find a match
-							const multiSearch = await searchWithMultipleValues(objectValues);
+							const multiSearch = await searchWithMultipleValues(
+								objectValues,
+								lookupOptions,
+							);
 							if (multiSearch) {
 								result = multiSearch.result;
 								source = multiSearch.source;
 								lookupTime += multiSearch.lookupTime;
 								matchedValue = multiSearch.matchedValue;
+								matchedField = multiSearch.matchedField;
+								matchedPattern = multiSearch.matchedPattern;
+								matches = multiSearch.matches;
 
 								console.log(
 									`[HoverLookup] Found match using object value: ${matchedValue}`,
@@ -222,17 +607,46 @@ class LookupHoverProvider {
 						}
 					} else {
 						// It's a primitive value, search directly
-						const valueSearch = await searchInDatabases(debugValue);
+						const valueSearch = await searchInDatabases(
+							debugValue,
+							lookupOptions,
+						);
 						if (valueSearch) {
 							result = valueSearch.result;
 							source = valueSearch.source;
 							lookupTime += valueSearch.lookupTime;
 							matchedValue = debugValue;
+							matchedField = valueSearch.matchedField;
+							matchedPattern = valueSearch.matchedPattern;
+							matches = valueSearch.matches;
+						} else if (typeof debugValue === "string") {
+							// Try the IDs found inside the string value
+							const candidateSearch = await searchCandidates(
+								debugValue,
+								null,
+								lookupOptions,
+							);
+							if (candidateSearch) {
+								result = candidateSearch.result;
+								source = candidateSearch.source;
+								lookupTime += candidateSearch.lookupTime;
+								matchedValue = candidateSearch.matchedValue;
+								matchedField = candidateSearch.matchedField;
+								matchedPattern = candidateSearch.matchedPattern;
+								matches = candidateSearch.matches;
+							}
 						}
 					}
 				}
 			}
 
+			// The hover went away, nothing to show
+			if (token?.isCancellationRequested) {
+				return null;
+			}
+
+			const timedOutSources = [...lookupOptions.timedOut];
+
 			if (result) {
 				console.log(
 					`[HoverLookup] Lookup for "${word}": ${lookupTime.toFixed(3)}ms (from ${source})`,
@@ -251,24 +665,32 @@ class LookupHoverProvider {
 						? matchedValue
 						: undefined;
 
-				// Header with separator
-				const header = formatTooltipHeaderMarkdown({
-					word,
-					lookupTimeMs: _lookupTime,
-					source,
-					matchedValue: headerMatchedValue,
-				});
-				markdown.appendMarkdown(header);
-
-				// Truncate large objects to prevent "414 URI Too Long" errors
-				const displayResult = truncateLargeObject(result);
-
-				// If truncated, show warning message
-				if (displayResult._truncated) {
-					markdown.appendMarkdown(`${displayResult._message}\n\n`);
-					markdown.appendCodeblock(displayResult._preview, "json");
+				if (matches.length > 1) {
+					appendAllMatches(markdown, {
+						word,
+						lookupTimeMs: _lookupTime,
+						matchedValue: headerMatchedValue,
+						matches,
+					});
 				} else {
-					markdown.appendCodeblock(JSON.stringify(result, null, 2), "json");
+					// Header with separator
+					const header = formatTooltipHeaderMarkdown({
+						word,
+						lookupTimeMs: _lookupTime,
+						source,
+						matchedValue: headerMatchedValue,
+						matchedField,
+						matchedPattern,
+					});
+					markdown.appendMarkdown(header);
+					appendDocument(markdown, matches[0]);
+				}
+
+				// Other sources may have had a match
+				if (timedOutSources.length > 0) {
+					markdown.appendMarkdown(
+						`\n\n${formatTimeoutNoteMarkdown(timedOutSources)}`,
+					);
 				}
 
 				const hover = hoverRange
@@ -277,9 +699,21 @@ class LookupHoverProvider {
 				return hover;
 			}
 
+			// Nothing found, but some sources didn't answer in time
+			if (timedOutSources.length > 0) {
+				const markdown = new vscode.MarkdownString(
+					formatTimeoutNoteMarkdown(timedOutSources),
+				);
+				return hoverRange
+					? new vscode.Hover(markdown, hoverRange)
+					: new vscode.Hover(markdown);
+			}
+
 			return null;
 		} catch (_error) {
 			return null;
+		} finally {
+			lookupOptions.dispose();
 		}
 	}
 }
@@ -0,0 +1,94 @@
+import {
+	getHttpEndpoints,
+	isHttpEnabled,
+	searchHttpDatabase,
+} from "./httpDatabase.js";
+import { isLookupComplete } from "./lookupTimeout.js";
+import {
+	addToMongoMissCache,
+	getMongoConfig,
+	isKnownMongoMiss,
+	isMongoDBEnabled,
+	searchMongoDatabaseBatch,
+} from "./mongoDatabase.js";
+import {
+	getSqlConfig,
+	isSqlEnabled,
+	searchSqlDatabase,
+} from "./sqlDatabase.js";
+
+/**
+ * Check if a remote source (MongoDB, SQL or HTTP) is enabled and configured
+ * @returns {boolean}
+ */
+function hasRemoteSources() {
+	return (
+		(isMongoDBEnabled() && getMongoConfig().url !== "") ||
+		(isSqlEnabled() && getSqlConfig().url !== "") ||
+		(isHttpEnabled() && getHttpEndpoints().length > 0)
+	);
+}
+
+/**
+ * Search remote databases in background so the results are cached for the next hover
+ * MongoDB is queried once for every value (one $in query per collection), then SQL and HTTP for the values it doesn't have
+ * A miss is cached too, so the value isn't searched again until the miss TTL expires, unless a source timed out or failed
+ * @param {Array<string|number>} values - The values to search for
+ * @returns {Promise<void>}
+ */
+async function searchInBackground(values) {
+	const batchOptions = { timedOut: new Set(), failed: new Set() };
+	const mongoMatches = await searchMongoDatabaseBatch(values, batchOptions);
+
+	for (const value of values) {
+		if (mongoMatches.has(value)) {
+			continue;
+		}
+
+		// MongoDB errors apply to every value, SQL and HTTP errors only to this one
+		const options = {
+			timedOut: new Set(batchOptions.timedOut),
+			failed: new Set(batchOptions.failed),
+		};
+
+		if (
+			(await searchSqlDatabase(value, options)) ||
+			(await searchHttpDatabase(value, options))
+		) {
+			continue;
+		}
+
+		if (isLookupComplete(options)) {
+			addToMongoMissCache(value);
+		}
+	}
+}
+
+/**
+ * Start a background search for values that aren't cached yet
+ * Values known to be missing from remote sources are skipped
+ * @param {Array<string|number>} values
+ */
+function searchMissingInBackground(values) {
+	const missingValues = values.filter((value) => {
+		if (isKnownMongoMiss(value)) {
+			console.log(
+				`[HoverLookup] "${value}" is known to be missing, skipping background search`,
+			);
+			return false;
+		}
+		return true;
+	});
+
+	if (missingValues.length === 0) {
+		return;
+	}
+
+	searchInBackground(missingValues).catch((error) => {
+		console.error(
+			`[HoverLookup] Background search failed for values ${missingValues.join(", ")}: ${error.message}`,
+		);
+	});
+}
+
+export { hasRemoteSources, searchInBackground, searchMissingInBackground };
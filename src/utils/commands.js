@@ -6,6 +6,7 @@ import {
 	CONFIG_KEYS,
 	CONFIG_NAMESPACE,
 	CONFIG_PROPS,
+	WINDOW_MESSAGES,
 } from "../constants/config.js";
 import {
 	DATABASE_RELOAD_TYPE,
@@ -14,10 +15,16 @@ import {
 	loadDatabase,
 } from "./database.js";
 import {
+	CONNECTION_STATE,
 	connectMongo,
 	disconnectMongo,
+	getMongoConfig,
+	getMongoConnectionStatus,
 	isMongoDBEnabled,
 } from "./mongoDatabase.js";
+import { getDiscoveredMongoPlan } from "./mongoDiscovery.js";
+import { connectSql, disconnectSql } from "./sqlDatabase.js";
+import { loadSqliteDatabases } from "./sqliteDatabase.js";
 
 /**
  * Register the reload database command
@@ -29,6 +36,9 @@ function registerReloadCommand(context) {
 		() => {
 			const dbPaths = getDatabasePath();
 
+			// SQLite files are reloaded alongside the JSON database
+			loadSqliteDatabases();
+
 			if (dbPaths && dbPaths.length > 0) {
 				loadDatabase(dbPaths, DATABASE_RELOAD_TYPE.MANUAL_RELOAD);
 			} else {
@@ -151,10 +161,15 @@ function registerReconnectMongoDBCommand(context) {
 					vscode.window.showInformationMessage(
 						"HoverLookup: Successfully reconnected to MongoDB",
 					);
-				} else {
+				} else if (!getMongoConfig().url) {
 					vscode.window.showWarningMessage(
 						`HoverLookup: MongoDB URL not configured. Set ${CONFIG_KEYS.MONGODB_URL} in settings.`,
 					);
+				} else {
+					// Retried in background with backoff
+					vscode.window.showErrorMessage(
+						"HoverLookup: Failed to reconnect to MongoDB. Retrying in background.",
+					);
 				}
 			} catch (error) {
 				vscode.window.showErrorMessage(
@@ -167,6 +182,40 @@ function registerReconnectMongoDBCommand(context) {
 	context.subscriptions.push(reconnectMongoCommand);
 }
 
+/**
+ * Register the reconnect SQL database command
+ * @param {vscode.ExtensionContext} context
+ */
+function registerReconnectSqlCommand(context) {
+	const reconnectSqlCommand = vscode.commands.registerCommand(
+		COMMAND_IDS.RECONNECT_SQL,
+		async () => {
+			try {
+				// Disconnect first
+				await disconnectSql();
+
+				// Try to reconnect
+				const pool = await connectSql();
+				if (pool) {
+					vscode.window.showInformationMessage(
+						"HoverLookup: Successfully reconnected to SQL database",
+					);
+				} else {
+					vscode.window.showWarningMessage(
+						`HoverLookup: Could not connect to SQL database. Check ${CONFIG_KEYS.SQL_URL} in settings.`,
+					);
+				}
+			} catch (error) {
+				vscode.window.showErrorMessage(
+					`HoverLookup: Failed to reconnect to SQL database: ${error.message}`,
+				);
+			}
+		},
+	);
+
+	context.subscriptions.push(reconnectSqlCommand);
+}
+
 /**
  * Register the toggle JSON database command
  * @param {vscode.ExtensionContext} context
@@ -328,6 +377,86 @@ function registerClearMongoCacheCommand(context) {
 	context.subscriptions.push(clearCacheCommand);
 }
 
+/**
+ * Register the show MongoDB auto-discovery plan command
+ * Shows the collections and search fields discovered from the indexes, and can save them as mongodbCollections
+ * @param {vscode.ExtensionContext} context
+ */
+function registerShowMongoDiscoveryPlanCommand(context) {
+	const showPlanCommand = vscode.commands.registerCommand(
+		COMMAND_IDS.SHOW_MONGO_DISCOVERY_PLAN,
+		async () => {
+			try {
+				const client = await connectMongo();
+				if (!client) {
+					const { state, failureCount, retryAt } = getMongoConnectionStatus();
+					if (!getMongoConfig().url) {
+						vscode.window.showWarningMessage(
+							`HoverLookup: MongoDB URL not configured. Set ${CONFIG_KEYS.MONGODB_URL} in settings.`,
+						);
+					} else if (failureCount > 0) {
+						// Waiting for the reconnect backoff, or the circuit breaker is open
+						const status =
+							state === CONNECTION_STATE.UNAVAILABLE
+								? "MongoDB is unavailable"
+								: "MongoDB can't be reached";
+						vscode.window.showErrorMessage(
+							`HoverLookup: ${status} (${failureCount} failed attempt(s)), next attempt at ${new Date(retryAt).toLocaleTimeString()}. Run "Reconnect MongoDB" to retry now.`,
+						);
+					} else {
+						vscode.window.showErrorMessage(
+							"HoverLookup: Could not connect to MongoDB.",
+						);
+					}
+					return;
+				}
+
+				const { databases, collections } = getMongoConfig();
+				const plan = await getDiscoveredMongoPlan(client, databases, {
+					refresh: true,
+				});
+
+				const document = await vscode.workspace.openTextDocument({
+					language: "json",
+					content: JSON.stringify(
+						{ [CONFIG_KEYS.MONGODB_COLLECTIONS]: plan },
+						null,
+						2,
+					),
+				});
+				await vscode.window.showTextDocument(document);
+
+				const usage =
+					collections.length > 0
+						? `Not in use, since ${CONFIG_KEYS.MONGODB_COLLECTIONS} is configured.`
+						: "In use, since no collections are configured.";
+				const selection = await vscode.window.showInformationMessage(
+					`HoverLookup: Discovered ${plan.length} MongoDB collection(s). ${usage}`,
+					WINDOW_MESSAGES.SAVE_TO_SETTINGS,
+				);
+
+				if (selection === WINDOW_MESSAGES.SAVE_TO_SETTINGS) {
+					const config = vscode.workspace.getConfiguration(CONFIG_NAMESPACE);
+					await config.update(
+						CONFIG_PROPS.MONGODB_COLLECTIONS,
+						plan,
+						vscode.ConfigurationTarget.Workspace,
+					);
+					vscode.window.showInformationMessage(
+						`HoverLookup: Saved ${plan.length} collection(s) to ${CONFIG_KEYS.MONGODB_COLLECTIONS}`,
+					);
+				}
+			} catch (error) {
+				vscode.window.showErrorMessage(
+					`HoverLookup: Failed to discover MongoDB collections: ${error.message}`,
+				);
+			}
+		},
+	);
+
+	context.subscriptions.push(showPlanCommand);
+}
+
 /**
  * Register all commands
  * @param {vscode.ExtensionContext} context
@@ -336,9 +465,11 @@ function registerAllCommands(context) {
 	registerReloadCommand(context);
 	registerInitCommand(context);
 	registerReconnectMongoDBCommand(context);
+	registerReconnectSqlCommand(context);
 	registerToggleLookupJsonDatabaseCommand(context);
 	registerToggleLookupMongoDBCommand(context);
 	registerClearMongoCacheCommand(context);
+	registerShowMongoDiscoveryPlanCommand(context);
 	registerOpenSettingsCommand(context);
 }
 
@@ -348,7 +479,9 @@ export {
 	registerInitCommand,
 	registerOpenSettingsCommand,
 	registerReconnectMongoDBCommand as registerReconnectMongoCommand,
+	registerReconnectSqlCommand,
 	registerReloadCommand,
+	registerShowMongoDiscoveryPlanCommand,
 	registerToggleLookupJsonDatabaseCommand,
 	registerToggleLookupMongoDBCommand,
 };
@@ -0,0 +1,34 @@
+/**
+ * Create a limiter running at most `limit` tasks at the same time
+ * Waiting tasks start in the order they were scheduled, once a running task has finished
+ * @param {number} limit
+ * @returns {<T>(task: () => Promise<T>) => Promise<T>} - Schedules a task and resolves with its result
+ */
+function createLimiter(limit) {
+	let running = 0;
+	const waiting = [];
+
+	return async (task) => {
+		if (running >= limit) {
+			// The finishing task hands its slot over, so `running` already counts this task
+			await new Promise((resolve) => waiting.push(resolve));
+		} else {
+			running++;
+		}
+
+		try {
+			return await task();
+		} finally {
+			const next = waiting.shift();
+			if (next) {
+				// Keep the slot reserved for the next task, so a task scheduled in between can't take it
+				// Start it after the caller handled this result, so it can stop scheduling (e.g., after a match)
+				setTimeout(next, 0);
+			} else {
+				running--;
+			}
+		}
+	};
+}
+
+export { createLimiter };
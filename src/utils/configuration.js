@@ -8,9 +8,16 @@ export const eventAffectsConfiguration = {
 	anyDatabase(event) {
 		return (
 			event.affectsConfiguration(CONFIG_KEYS.DATABASE_PATHS) ||
+			event.affectsConfiguration(CONFIG_KEYS.DATABASE_ID_FIELDS) ||
+			event.affectsConfiguration(CONFIG_KEYS.KEY_NORMALIZATION) ||
 			event.affectsConfiguration(CONFIG_KEYS.MONGODB_URL) ||
 			event.affectsConfiguration(CONFIG_KEYS.MONGODB_COLLECTIONS) ||
-			event.affectsConfiguration(CONFIG_KEYS.MONGODB_DATABASES)
+			event.affectsConfiguration(CONFIG_KEYS.MONGODB_DATABASES) ||
+			event.affectsConfiguration(CONFIG_KEYS.SQLITE_PATHS) ||
+			event.affectsConfiguration(CONFIG_KEYS.SQLITE_TABLES) ||
+			event.affectsConfiguration(CONFIG_KEYS.SQL_URL) ||
+			event.affectsConfiguration(CONFIG_KEYS.SQL_TABLES) ||
+			event.affectsConfiguration(CONFIG_KEYS.HTTP_ENDPOINTS)
 		);
 	},
 
@@ -26,6 +33,17 @@ export const eventAffectsConfiguration = {
 		);
 	},
 
+	/**
+	 * @param {import("vscode").ConfigurationChangeEvent} event
+	 * @returns {boolean}
+	 */
+	mongoDbStatus(event) {
+		return (
+			event.affectsConfiguration(CONFIG_KEYS.ENABLE_MONGODB) ||
+			event.affectsConfiguration(CONFIG_KEYS.MONGODB_URL)
+		);
+	},
+
 	/**
 	 * @param {import("vscode").ConfigurationChangeEvent} event
 	 * @returns {boolean}
@@ -39,6 +57,50 @@ export const eventAffectsConfiguration = {
 	 * @returns {boolean}
 	 */
 	jsonDatabasePaths(event) {
-		return event.affectsConfiguration(CONFIG_KEYS.DATABASE_PATHS);
+		return (
+			event.affectsConfiguration(CONFIG_KEYS.DATABASE_PATHS) ||
+			event.affectsConfiguration(CONFIG_KEYS.DATABASE_ID_FIELDS) ||
+			event.affectsConfiguration(CONFIG_KEYS.KEY_NORMALIZATION)
+		);
+	},
+
+	/**
+	 * @param {import("vscode").ConfigurationChangeEvent} event
+	 * @returns {boolean}
+	 */
+	sqlitePaths(event) {
+		return event.affectsConfiguration(CONFIG_KEYS.SQLITE_PATHS);
+	},
+
+	/**
+	 * @param {import("vscode").ConfigurationChangeEvent} event
+	 * @returns {boolean}
+	 */
+	sql(event) {
+		return (
+			event.affectsConfiguration(CONFIG_KEYS.SQL_URL) ||
+			event.affectsConfiguration(CONFIG_KEYS.SQL_TABLES)
+		);
+	},
+
+	/**
+	 * Servers the remote lookups (and their cached values) come from
+	 * @param {import("vscode").ConfigurationChangeEvent} event
+	 * @returns {boolean}
+	 */
+	remoteServers(event) {
+		return (
+			event.affectsConfiguration(CONFIG_KEYS.MONGODB_URL) ||
+			event.affectsConfiguration(CONFIG_KEYS.SQL_URL) ||
+			event.affectsConfiguration(CONFIG_KEYS.HTTP_ENDPOINTS)
+		);
+	},
+
+	/**
+	 * @param {import("vscode").ConfigurationChangeEvent} event
+	 * @returns {boolean}
+	 */
+	keyNormalization(event) {
+		return event.affectsConfiguration(CONFIG_KEYS.KEY_NORMALIZATION);
 	},
 };
@@ -6,13 +6,39 @@ import {
 	CONFIG_NAMESPACE,
 	CONFIG_PROPS,
 } from "../constants/config.js";
+import { readDatabaseFile } from "./databaseFormats.js";
+import { normalizeKey } from "./normalization.js";
+import { getValueAtPath, pathMatchesValue } from "./objectPath.js";
+import { compilePattern, interpolateGroups } from "./patterns.js";
 
 let database = {};
-/** @type {string | string[]} */
+/** @type {string | string[]} Default ID field(s), for files that don't declare their own */
 let idField = ["id"]; // Now supports array of field names
 let rawJsonData = null;
+/**
+ * Parsed database files in load order, so they can be reindexed without reading them again
+ * @type {Array<{fileName: string, jsonData: Object}>}
+ */
+let loadedFiles = [];
 /** @type {Map<string, string>} Map of key to source file path */
 const databaseSources = new Map();
+/** @type {Map<string, string>} Map of key to the ID field it was indexed by */
+const databaseMatchedFields = new Map();
+/**
+ * Every entry of every file indexed under a key, in load order (the database keeps only the first)
+ * @type {Map<string, Array<{document: any, source: string | null, matchedField: string | null}>>}
+ */
+const databaseEntries = new Map();
+/**
+ * Pattern entries, checked in order when no exact key matches
+ * @type {Array<{regex: RegExp, label: string, data: any, source: string}>}
+ */
+let databasePatterns = [];
+/**
+ * Relations declared by each file (e.g., orders.json: customerId -> users.id)
+ * @type {Map<string, Array<{field: string, collection: string, targetField?: string}>>}
+ */
+const databaseRelations = new Map();
 
 /**
  * Check if JSON database is enabled
@@ -40,6 +66,163 @@ function getDatabaseSource(key) {
 	return databaseSources.get(String(key)) || null;
 }
 
+/**
+ * Get the ID field a given key was indexed by
+ * @param {string} key
+ * @returns {string | null}
+ */
+function getDatabaseMatchedField(key) {
+	return databaseMatchedFields.get(String(key)) || null;
+}
+
+/**
+ * Get the relations declared by a database file
+ * @param {string | null} fileName
+ * @returns {Array<{field: string, collection: string, targetField?: string}>}
+ */
+function getDatabaseRelations(fileName) {
+	return databaseRelations.get(fileName) || [];
+}
+
+/**
+ * Match a key against a pattern entry
+ * Named capture groups (and `{{value}}`, the whole key) are interpolated into the entry data
+ * @param {{regex: RegExp, label: string, data: any, source: string}} pattern
+ * @param {string} key
+ * @returns {{document: any, source: string, matchedPattern: string} | null}
+ */
+function matchDatabasePattern({ regex, label, data, source }, key) {
+	const match = regex.exec(key);
+	if (!match) {
+		return null;
+	}
+
+	return {
+		document: interpolateGroups(data, { value: key, ...match.groups }),
+		source,
+		matchedPattern: label,
+	};
+}
+
+/**
+ * Find the first pattern entry matching a key
+ * @param {string} key
+ * @returns {{document: any, source: string, matchedPattern: string} | null}
+ */
+function searchDatabasePatterns(key) {
+	for (const pattern of databasePatterns) {
+		const result = matchDatabasePattern(pattern, key);
+		if (result) {
+			return result;
+		}
+	}
+
+	return null;
+}
+
+/**
+ * Search for a value in the local database (synchronous)
+ * Exact keys are checked first (normalized), then pattern entries (raw value first, then normalized)
+ * @param {string|number} searchValue - The value to search for
+ * @returns {{document: any, source: string | null, matchedField: string | null, matchedPattern: string | null} | null}
+ */
+function searchLocalDatabase(searchValue) {
+	if (!isJsonDatabaseEnabled()) {
+		return null;
+	}
+
+	const key = normalizeKey(searchValue);
+	if (Object.hasOwn(database, key)) {
+		const source = getDatabaseSource(key);
+		return {
+			document: database[key],
+			source,
+			matchedField: getDatabaseMatchedField(key),
+			matchedPattern: null,
+			relations: getDatabaseRelations(source),
+		};
+	}
+
+	const patternResult =
+		searchDatabasePatterns(String(searchValue)) || searchDatabasePatterns(key);
+	if (patternResult) {
+		return {
+			...patternResult,
+			matchedField: null,
+			relations: getDatabaseRelations(patternResult.source),
+		};
+	}
+
+	return null;
+}
+
+/**
+ * Search for every match of a value in the local database (synchronous)
+ * Returns every entry indexed under the key, from every file, then every matching pattern entry
+ * @param {string|number} searchValue - The value to search for
+ * @returns {Array<{document: any, source: string | null, matchedField: string | null, matchedPattern: string | null, relations: Array<Object>}>}
+ */
+function searchLocalDatabaseAll(searchValue) {
+	if (!isJsonDatabaseEnabled()) {
+		return [];
+	}
+
+	const key = normalizeKey(searchValue);
+	const matches = (databaseEntries.get(key) || []).map((entry) => ({
+		...entry,
+		matchedPattern: null,
+		relations: getDatabaseRelations(entry.source),
+	}));
+
+	for (const pattern of databasePatterns) {
+		const patternResult =
+			matchDatabasePattern(pattern, String(searchValue)) ||
+			matchDatabasePattern(pattern, key);
+		if (patternResult) {
+			matches.push({
+				...patternResult,
+				matchedField: null,
+				relations: getDatabaseRelations(patternResult.source),
+			});
+		}
+	}
+
+	return matches;
+}
+
+/**
+ * Find the entry a relation points to, in the database file named after the collection (e.g., "users" -> users.json)
+ * The target field must be one of the file's ID fields
+ * @param {string} collection - File name without extension
+ * @param {string} targetField - ID field of the target entry
+ * @param {string|number} value - The value of the relation field
+ * @returns {{document: any, source: string, relations: Array<Object>} | null}
+ */
+function findLocalRelated(collection, targetField, value) {
+	if (!isJsonDatabaseEnabled()) {
+		return null;
+	}
+
+	const entries = databaseEntries.get(normalizeKey(value)) || [];
+	const entry = entries.find(
+		({ document, source, matchedField }) =>
+			source !== null &&
+			path.parse(source).name === collection &&
+			(matchedField === targetField ||
+				pathMatchesValue(document, targetField, value)),
+	);
+
+	if (!entry) {
+		return null;
+	}
+
+	return {
+		document: entry.document,
+		source: entry.source,
+		relations: getDatabaseRelations(entry.source),
+	};
+}
+
 /**
  * Get the current ID field(s)
  * @returns {string | string[]}
@@ -63,7 +246,137 @@ const DATABASE_RELOAD_TYPE = /** @type {const} */ ({
 });
 
 /**
- * Load database from JSON file(s)
+ * Record an entry under a key, for searches that return every match
+ * An entry found by several ID fields with the same key is recorded once
+ * @param {string} key - Normalized key
+ * @param {any} document
+ * @param {string | null} fileName
+ * @param {string | null} matchedField
+ */
+function addDatabaseEntry(key, document, fileName, matchedField) {
+	const entries = databaseEntries.get(key) || [];
+	if (
+		!entries.some(
+			(entry) => entry.document === document && entry.source === fileName,
+		)
+	) {
+		entries.push({ document, source: fileName, matchedField });
+		databaseEntries.set(key, entries);
+	}
+}
+
+/**
+ * Add an entry to the database under every key found in its ID fields
+ * Array-valued fields add one key per element. Keys are normalized (hoverLookup.keyNormalization)
+ * Keys already in the database are kept (first file wins), but every entry is recorded for searchLocalDatabaseAll
+ * @param {Object} item - The entry
+ * @param {string[]} idFields - ID fields to index, in order. Supports nested paths (e.g., "meta.sku", "codes[0]")
+ * @param {string | null} fileName - Source file of the entry
+ */
+function indexItem(item, idFields, fileName) {
+	for (const field of idFields) {
+		const value = getValueAtPath(item, field);
+		const keys = Array.isArray(value) ? value : [value];
+
+		for (const key of keys) {
+			if (key === undefined || key === null || typeof key === "object") {
+				continue;
+			}
+
+			const normalizedKey = normalizeKey(key);
+			if (!Object.hasOwn(database, normalizedKey)) {
+				database[normalizedKey] = item;
+				databaseSources.set(normalizedKey, fileName);
+				databaseMatchedFields.set(normalizedKey, field);
+			}
+			addDatabaseEntry(normalizedKey, item, fileName, field);
+		}
+	}
+}
+
+/**
+ * Get per-file ID fields for database files that can't declare their own idField (CSV/TSV)
+ * @returns {Map<string, string[]>} Map of resolved file path to ID fields
+ */
+function getDatabaseIdFields() {
+	const config = vscode.workspace.getConfiguration(CONFIG_NAMESPACE);
+	const configIdFields = config.get(CONFIG_PROPS.DATABASE_ID_FIELDS) || {};
+	const idFieldsByPath = new Map();
+
+	for (const [configPath, fields] of Object.entries(configIdFields)) {
+		const [resolvedPath] = resolveWorkspacePaths([configPath]);
+		if (resolvedPath) {
+			idFieldsByPath.set(
+				resolvedPath,
+				Array.isArray(fields) ? fields : [fields],
+			);
+		}
+	}
+
+	return idFieldsByPath;
+}
+
+/**
+ * Clear the entries, patterns and relations of every database file
+ */
+function clearDatabaseIndex() {
+	database = {};
+	databaseSources.clear();
+	databaseMatchedFields.clear();
+	databaseEntries.clear();
+	databasePatterns = [];
+	databaseRelations.clear();
+}
+
+/**
+ * Index the entries, patterns and relations of a database file
+ * Keys already in the database are kept (first file wins)
+ * @param {Object} jsonData - Parsed file
+ * @param {string} fileName
+ */
+function indexDatabaseFile(jsonData, fileName) {
+	if (Array.isArray(jsonData.data) || Array.isArray(jsonData.patterns)) {
+		// A file's own idField applies to that file only, others use the default
+		const fileIdField = jsonData.idField || idField;
+
+		// Normalize idField to array
+		const idFields = Array.isArray(fileIdField) ? fileIdField : [fileIdField];
+
+		for (const item of jsonData.data || []) {
+			indexItem(item, idFields, fileName);
+		}
+
+		// Relations to entries of other files or MongoDB collections (e.g., customerId -> users.id)
+		if (Array.isArray(jsonData.relations)) {
+			databaseRelations.set(fileName, jsonData.relations);
+		}
+
+		// Pattern entries describe families of keys (e.g., "ERR-4??-*")
+		for (const entry of jsonData.patterns || []) {
+			const pattern = compilePattern(entry);
+			if (pattern) {
+				databasePatterns.push({
+					...pattern,
+					data: entry.data,
+					source: fileName,
+				});
+			}
+		}
+	} else {
+		// For flat JSON objects, add all keys
+		for (const key in jsonData) {
+			const normalizedKey = normalizeKey(key);
+			if (!Object.hasOwn(database, normalizedKey)) {
+				database[normalizedKey] = jsonData[key];
+				databaseSources.set(normalizedKey, fileName);
+			}
+			addDatabaseEntry(normalizedKey, jsonData[key], fileName, null);
+		}
+	}
+}
+
+/**
+ * Load database from local file(s) (JSON, JSONC, YAML, NDJSON, CSV or TSV)
  * @param {string | string[]} filePaths
  * @param {typeof DATABASE_RELOAD_TYPE[keyof typeof DATABASE_RELOAD_TYPE]} reloadType
  * @returns {boolean}
@@ -77,8 +390,9 @@ function loadLocalDatabase(filePaths, reloadType = DATABASE_RELOAD_TYPE.INIT) {
 			return false;
 		}
 
-		database = {};
-		databaseSources.clear();
+		clearDatabaseIndex();
+		loadedFiles = [];
+		const idFieldsByPath = getDatabaseIdFields();
 		let loadedAny = false;
 		const invalidPaths = [];
 
@@ -89,45 +403,23 @@ function loadLocalDatabase(filePaths, reloadType = DATABASE_RELOAD_TYPE.INIT) {
 				continue;
 			}
 
-			const fileContent = fs.readFileSync(filePath, "utf8");
-			const jsonData = JSON.parse(fileContent);
-			rawJsonData = jsonData;
+			const jsonData = readDatabaseFile(filePath, {
+				keyFields: idFieldsByPath.get(filePath),
+			});
 			const fileName = path.basename(filePath);
 
-			if (Array.isArray(jsonData.data)) {
-				// Determine which ID field(s) to use
-				if (jsonData.idField) {
-					idField = jsonData.idField;
-				}
-
-				// Normalize idField to array
-				const idFields = Array.isArray(idField) ? idField : [idField];
-
-				for (const item of jsonData.data) {
-					// Try each ID field until we find a value
-					for (const field of idFields) {
-						const key = item[field];
-						if (key !== undefined && key !== null) {
-							// Only add if not already in database (first file wins)
-							if (!(String(key) in database)) {
-								database[String(key)] = item;
-								databaseSources.set(String(key), fileName);
-							}
-							break; // Use the first valid field found
-						}
-					}
-				}
-				loadedAny = true;
-			} else {
-				// For flat JSON objects, add all keys
-				for (const key in jsonData) {
-					if (!(String(key) in database)) {
-						database[String(key)] = jsonData[key];
-						databaseSources.set(String(key), fileName);
-					}
-				}
-				loadedAny = true;
+			// e.g., an empty YAML file, or one with only `null`
+			if (jsonData === null || typeof jsonData !== "object") {
+				console.log(
+					`[HoverLookup] Skipping database file ${fileName}: it has no entries`,
+				);
+				continue;
 			}
+
+			rawJsonData = jsonData;
+			loadedFiles.push({ fileName, jsonData });
+			indexDatabaseFile(jsonData, fileName);
+			loadedAny = true;
 		}
 
 		// Show warnings for invalid paths
@@ -158,33 +450,23 @@ function loadLocalDatabase(filePaths, reloadType = DATABASE_RELOAD_TYPE.INIT) {
 }
 
 /**
- * Reindex database with new ID field(s)
+ * Reindex every database file with new default ID field(s)
  * @param {string | string[]} newIdField
  * @returns {boolean}
  */
 function reindexDatabase(newIdField) {
 	try {
-		if (!rawJsonData || !Array.isArray(rawJsonData.data)) {
+		if (!loadedFiles.some(({ jsonData }) => Array.isArray(jsonData.data))) {
 			vscode.window.showErrorMessage("No database loaded or invalid format");
 			return false;
 		}
 
+		// The new default applies to files without their own idField
 		idField = newIdField;
 
-		// Normalize idField to array
-		const idFields = Array.isArray(idField) ? idField : [idField];
-
-		database = {};
-
-		for (const item of rawJsonData.data) {
-			// Try each ID field until we find a value
-			for (const field of idFields) {
-				const key = item[field];
-				if (key !== undefined && key !== null) {
-					database[String(key)] = item;
-					break; // Use the first valid field found
-				}
-			}
+		clearDatabaseIndex();
+		for (const { jsonData, fileName } of loadedFiles) {
+			indexDatabaseFile(jsonData, fileName);
 		}
 
 		const count = Object.keys(database).length;
@@ -205,12 +487,11 @@ function reindexDatabase(newIdField) {
 }
 
 /**
- * Get database file paths
+ * Resolve configured paths against the workspace root
+ * @param {string[]} configPaths - Paths as written in settings (relative or absolute)
  * @returns {string[]}
  */
-function getDatabasePath() {
-	const config = vscode.workspace.getConfiguration(CONFIG_NAMESPACE);
-	const configPaths = config.get(CONFIG_PROPS.DATABASE_PATHS);
+function resolveWorkspacePaths(configPaths) {
 	const paths = [];
 
 	if (
@@ -219,23 +500,34 @@ function getDatabasePath() {
 	) {
 		const workspaceRoot = vscode.workspace.workspaceFolders[0].uri.fsPath;
 
-		if (Array.isArray(configPaths) && configPaths.length > 0) {
-			for (const configPath of configPaths) {
-				if (path.isAbsolute(configPath)) {
-					paths.push(configPath);
-				} else {
-					paths.push(path.join(workspaceRoot, configPath));
-				}
+		for (const configPath of configPaths) {
+			if (path.isAbsolute(configPath)) {
+				paths.push(configPath);
+			} else {
+				paths.push(path.join(workspaceRoot, configPath));
 			}
-		} else {
-			// Fallback to default
-			paths.push(path.join(workspaceRoot, "lookup-database.json"));
 		}
 	}
 
 	return paths;
 }
 
+/**
+ * Get database file paths
+ * @returns {string[]}
+ */
+function getDatabasePath() {
+	const config = vscode.workspace.getConfiguration(CONFIG_NAMESPACE);
+	const configPaths = config.get(CONFIG_PROPS.DATABASE_PATHS);
+
+	if (Array.isArray(configPaths) && configPaths.length > 0) {
+		return resolveWorkspacePaths(configPaths);
+	}
+
+	// Fallback to default
+	return resolveWorkspacePaths(["lookup-database.json"]);
+}
+
 /**
  * Load database from JSON files (MongoDB is queried on-demand)
  * @param {string | string[]} filePaths
@@ -258,12 +550,17 @@ async function loadCombinedDatabase(
 export {
 	getDatabase,
 	getDatabaseSource,
+	getDatabaseMatchedField,
+	searchLocalDatabase,
+	searchLocalDatabaseAll,
+	findLocalRelated,
 	getIdField,
 	getRawJsonData,
 	loadLocalDatabase as loadDatabase,
 	loadCombinedDatabase,
 	reindexDatabase,
 	getDatabasePath,
+	resolveWorkspacePaths,
 	DATABASE_RELOAD_TYPE,
 	isJsonDatabaseEnabled,
 };
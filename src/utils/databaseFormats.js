@@ -0,0 +1,264 @@
+import fs from "node:fs";
+import path from "node:path";
+import { StringDecoder } from "node:string_decoder";
+import { parse as parseJsonc, printParseErrorCode } from "jsonc-parser";
+import { parse as parseYaml } from "yaml";
+
+/**
+ * Database file formats, picked from the file extension
+ */
+const DATABASE_FORMAT = /** @type {const} */ ({
+	JSON: "json",
+	JSONC: "jsonc",
+	YAML: "yaml",
+	NDJSON: "ndjson",
+	CSV: "csv",
+	TSV: "tsv",
+});
+
+/** Size of the chunks read from NDJSON files */
+const NDJSON_CHUNK_SIZE = 64 * 1024;
+
+const DELIMITERS = {
+	[DATABASE_FORMAT.CSV]: ",",
+	[DATABASE_FORMAT.TSV]: "\t",
+};
+
+/**
+ * Get the format of a database file from its extension
+ * @param {string} filePath
+ * @returns {typeof DATABASE_FORMAT[keyof typeof DATABASE_FORMAT]}
+ */
+function getDatabaseFormat(filePath) {
+	const extension = path.extname(filePath).toLowerCase();
+
+	switch (extension) {
+		case ".jsonc":
+			return DATABASE_FORMAT.JSONC;
+		case ".yaml":
+		case ".yml":
+			return DATABASE_FORMAT.YAML;
+		case ".ndjson":
+		case ".jsonl":
+			return DATABASE_FORMAT.NDJSON;
+		case ".csv":
+			return DATABASE_FORMAT.CSV;
+		case ".tsv":
+		case ".tab":
+			return DATABASE_FORMAT.TSV;
+		default:
+			return DATABASE_FORMAT.JSON;
+	}
+}
+
+/**
+ * Split delimited text into rows of fields (RFC 4180: quoted fields may contain delimiters, quotes and newlines)
+ * @param {string} text
+ * @param {string} delimiter
+ * @returns {string[][]}
+ */
+function parseDelimitedRows(text, delimiter) {
+	const rows = [];
+	let row = [];
+	let field = "";
+	let inQuotes = false;
+
+	for (let i = 0; i < text.length; i++) {
+		const char = text[i];
+
+		if (inQuotes) {
+			if (char === '"') {
+				if (text[i + 1] === '"') {
+					field += '"';
+					i++;
+				} else {
+					inQuotes = false;
+				}
+			} else {
+				field += char;
+			}
+		} else if (char === '"' && field === "") {
+			inQuotes = true;
+		} else if (char === delimiter) {
+			row.push(field);
+			field = "";
+		} else if (char === "\n" || char === "\r") {
+			if (char === "\r" && text[i + 1] === "\n") {
+				i++;
+			}
+			row.push(field);
+			rows.push(row);
+			row = [];
+			field = "";
+		} else {
+			field += char;
+		}
+	}
+
+	// Last row may not end with a newline
+	if (field !== "" || row.length > 0) {
+		row.push(field);
+		rows.push(row);
+	}
+
+	// Skip blank lines
+	return rows.filter((fields) => fields.length > 1 || fields[0] !== "");
+}
+
+/**
+ * Type a delimited field: numbers become numbers, empty fields become null
+ * Numbers that wouldn't be written back the same are kept as strings: leading zeros (e.g., "00042", usually codes),
+ * trailing zeros (e.g., "1.10") and integers too large to be exact (e.g., 64-bit IDs)
+ * @param {string} value
+ * @returns {string | number | null}
+ */
+function typeField(value) {
+	if (value === "") {
+		return null;
+	}
+
+	const number = Number(value);
+	if (/^-?\d+(\.\d+)?$/.test(value) && String(number) === value) {
+		return number;
+	}
+
+	return value;
+}
+
+/**
+ * Parse a CSV/TSV file into the `{ idField, data }` structure of JSON databases
+ * The header row becomes the object fields
+ * @param {string} text
+ * @param {string} delimiter
+ * @param {string[]} [keyFields] - Key columns. Defaults to the first column
+ * @returns {{idField: string[], data: Object[]}}
+ */
+function parseDelimitedDatabase(text, delimiter, keyFields) {
+	const [header = [], ...rows] = parseDelimitedRows(
+		text.replace(/^\uFEFF/, ""),
+		delimiter,
+	);
+	const columns = header.map((column) => column.trim());
+
+	const data = rows.map((fields) => {
+		const item = {};
+		columns.forEach((column, index) => {
+			item[column] = typeField(fields[index] ?? "");
+		});
+		return item;
+	});
+
+	const idField =
+		Array.isArray(keyFields) && keyFields.length > 0
+			? keyFields
+			: columns.slice(0, 1);
+
+	return { idField, data };
+}
+
+/**
+ * Parse JSON with comments and trailing commas
+ * @param {string} text
+ * @returns {any}
+ */
+function parseJsoncDatabase(text) {
+	const errors = [];
+	const data = parseJsonc(text, errors, { allowTrailingComma: true });
+
+	if (errors.length > 0) {
+		const [{ error, offset }] = errors;
+		throw new Error(
+			`Invalid JSONC: ${printParseErrorCode(error)} at offset ${offset}`,
+		);
+	}
+
+	return data;
+}
+
+/**
+ * Read an NDJSON file one record per line
+ * The file is read in chunks, so the raw text is never held in memory as a whole
+ * @param {string} filePath
+ * @param {string[]} [keyFields] - Key fields. Defaults to the current idField
+ * @returns {{idField?: string[], data: Object[]}}
+ */
+function readNdjsonDatabase(filePath, keyFields) {
+	const data = [];
+	const decoder = new StringDecoder("utf8");
+	const buffer = Buffer.alloc(NDJSON_CHUNK_SIZE);
+	let pending = "";
+	let lineNumber = 0;
+
+	const parseLine = (line) => {
+		lineNumber++;
+		const trimmed = line.trim();
+		if (trimmed === "") {
+			return;
+		}
+
+		try {
+			data.push(JSON.parse(trimmed));
+		} catch (error) {
+			throw new Error(`Invalid NDJSON at line ${lineNumber}: ${error.message}`);
+		}
+	};
+
+	const fd = fs.openSync(filePath, "r");
+	try {
+		let bytesRead = fs.readSync(fd, buffer, 0, NDJSON_CHUNK_SIZE, null);
+
+		while (bytesRead > 0) {
+			const lines = (
+				pending + decoder.write(buffer.subarray(0, bytesRead))
+			).split("\n");
+			pending = lines.pop();
+			for (const line of lines) {
+				parseLine(line);
+			}
+
+			bytesRead = fs.readSync(fd, buffer, 0, NDJSON_CHUNK_SIZE, null);
+		}
+
+		parseLine(pending + decoder.end());
+	} finally {
+		fs.closeSync(fd);
+	}
+
+	if (Array.isArray(keyFields) && keyFields.length > 0) {
+		return { idField: keyFields, data };
+	}
+
+	return { data };
+}
+
+/**
+ * Read and parse a database file according to its format
+ * @param {string} filePath
+ * @param {Object} [options]
+ * @param {string[]} [options.keyFields] - Key fields for formats that can't declare their own idField (CSV, TSV, NDJSON)
+ * @returns {any} - Parsed content, or `{ idField, data }` for record-based formats
+ */
+function readDatabaseFile(filePath, { keyFields } = {}) {
+	const format = getDatabaseFormat(filePath);
+
+	// NDJSON is streamed line by line instead of being read as a whole
+	if (format === DATABASE_FORMAT.NDJSON) {
+		return readNdjsonDatabase(filePath, keyFields);
+	}
+
+	const fileContent = fs.readFileSync(filePath, "utf8");
+
+	switch (format) {
+		case DATABASE_FORMAT.JSONC:
+			return parseJsoncDatabase(fileContent);
+		case DATABASE_FORMAT.YAML:
+			return parseYaml(fileContent);
+		case DATABASE_FORMAT.CSV:
+		case DATABASE_FORMAT.TSV:
+			return parseDelimitedDatabase(fileContent, DELIMITERS[format], keyFields);
+		default:
+			return JSON.parse(fileContent);
+	}
+}
+
+export { DATABASE_FORMAT, getDatabaseFormat, readDatabaseFile };
@@ -0,0 +1,50 @@
+import * as vscode from "vscode";
+import { CONFIG_NAMESPACE, CONFIG_PROPS } from "../constants/config.js";
+import { getValueAtPath } from "./objectPath.js";
+
+/** Labels longer than this are cut, so the Variables view stays readable */
+const MAX_LABEL_LENGTH = 60;
+
+/**
+ * Get the display fields of a source (hoverLookup.displayFields)
+ * @param {string} source - e.g., "MongoDB.production.users"
+ * @returns {string[]} - Field paths, first present wins
+ */
+function getDisplayFields(source) {
+	const config = vscode.workspace.getConfiguration(CONFIG_NAMESPACE);
+	const displayFields = config.get(CONFIG_PROPS.DISPLAY_FIELDS) || {};
+	const fields = Object.hasOwn(displayFields, source)
+		? displayFields[source]
+		: displayFields["*"];
+
+	return [fields ?? []].flat().filter((field) => typeof field === "string");
+}
+
+/**
+ * Get the short label of a document, from the display field of its source
+ * @param {any} document
+ * @param {string} source
+ * @returns {string | null} - null if the source has no display field, or the document doesn't have it
+ */
+function getDisplayLabel(document, source) {
+	for (const field of getDisplayFields(source)) {
+		const value = getValueAtPath(document, field);
+		const isDisplayable =
+			typeof value === "string" ||
+			typeof value === "number" ||
+			typeof value === "boolean" ||
+			// ObjectIds, UUIDs, Decimal128...
+			value?._bsontype !== undefined;
+
+		if (isDisplayable && String(value) !== "") {
+			const label = String(value);
+			return label.length > MAX_LABEL_LENGTH
+				? `${label.slice(0, MAX_LABEL_LENGTH - 1)}…`
+				: label;
+		}
+	}
+
+	return null;
+}
+
+export { getDisplayLabel };
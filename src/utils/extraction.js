@@ -0,0 +1,121 @@
+import * as vscode from "vscode";
+import { CONFIG_NAMESPACE, CONFIG_PROPS } from "../constants/config.js";
+
+/**
+ * @typedef {Object} Candidate
+ * @property {string} value - The candidate ID
+ * @property {number} start - Offset of the candidate in the string
+ * @property {number} end - Offset after the candidate in the string
+ */
+
+/**
+ * Compile an extraction rule
+ * The candidate is the named group `id`, else the first capture group, else the whole match
+ * @param {string | {regex: string, flags?: string, group?: string | number}} rule - A regex, or an object with options
+ * @returns {{regex: RegExp, group: string | number | null} | null} - null if the rule is invalid
+ */
+function compileExtractionRule(rule) {
+	const {
+		regex,
+		flags = "",
+		group = null,
+	} = typeof rule === "string" ? { regex: rule } : rule || {};
+
+	if (typeof regex !== "string" || regex === "") {
+		console.log(
+			`[HoverLookup] Invalid extraction rule: ${JSON.stringify(rule)}`,
+		);
+		return null;
+	}
+
+	try {
+		// Always global (every candidate) and with indices (candidate offsets)
+		const ruleFlags = `${flags.replace(/[gyd]/g, "")}gd`;
+		return { regex: new RegExp(regex, ruleFlags), group };
+	} catch (error) {
+		console.log(
+			`[HoverLookup] Invalid extraction rule ${JSON.stringify(rule)}: ${error.message}`,
+		);
+		return null;
+	}
+}
+
+/**
+ * Get the offsets of the candidate in a match
+ * @param {RegExpExecArray} match
+ * @param {string | number | null} group
+ * @returns {[number, number] | undefined}
+ */
+function getCandidateIndices(match, group) {
+	if (group !== null) {
+		return typeof group === "number"
+			? match.indices[group]
+			: match.indices.groups?.[group];
+	}
+
+	if (match.indices.groups?.id) {
+		return match.indices.groups.id;
+	}
+
+	return match.length > 1 ? match.indices[1] : match.indices[0];
+}
+
+/**
+ * Split a string into candidate IDs with the configured extraction rules (hoverLookup.extractionRules)
+ * e.g., "/users/42/orders/ORD-9876-001" -> "42", "ORD-9876-001"
+ * @param {string} text
+ * @returns {Candidate[]} - In order of appearance, without duplicates or the whole string
+ */
+function extractCandidates(text) {
+	const config = vscode.workspace.getConfiguration(CONFIG_NAMESPACE);
+	const rules = config.get(CONFIG_PROPS.EXTRACTION_RULES) || [];
+	const candidates = [];
+	const seen = new Set([text]);
+
+	for (const rule of rules) {
+		const compiled = compileExtractionRule(rule);
+		if (!compiled) {
+			continue;
+		}
+
+		for (const match of text.matchAll(compiled.regex)) {
+			const indices = getCandidateIndices(match, compiled.group);
+			if (!indices) {
+				continue;
+			}
+
+			const [start, end] = indices;
+			const value = text.slice(start, end);
+			if (value !== "" && !seen.has(value)) {
+				seen.add(value);
+				candidates.push({ value, start, end });
+			}
+		}
+	}
+
+	return candidates.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Order candidates so the one under the cursor comes first
+ * Without a candidate under the cursor, the closest one comes first
+ * @param {Candidate[]} candidates
+ * @param {number | null} offset - Cursor offset in the string, null if unknown
+ * @returns {Candidate[]}
+ */
+function sortCandidatesByCursor(candidates, offset) {
+	if (offset === null) {
+		return candidates;
+	}
+
+	const distance = ({ start, end }) => {
+		if (offset < start) return start - offset;
+		if (offset >= end) return offset - end + 1;
+		return 0;
+	};
+
+	// Array.prototype.sort is stable, so candidates at the same distance keep their order
+	return [...candidates].sort((a, b) => distance(a) - distance(b));
+}
+
+export { extractCandidates, sortCandidatesByCursor };
@@ -0,0 +1,183 @@
+import * as vscode from "vscode";
+import { CONFIG_NAMESPACE, CONFIG_PROPS } from "../constants/config.js";
+import { recordLookupError, runQueryWithTimeout } from "./lookupTimeout.js";
+import { addToMongoCache } from "./mongoDatabase.js";
+import { getValueAtPath } from "./objectPath.js";
+
+const VALUE_PLACEHOLDER = /\{value\}/g;
+
+/**
+ * Check if HTTP lookups are enabled
+ * @returns {boolean}
+ */
+function isHttpEnabled() {
+	const config = vscode.workspace.getConfiguration(CONFIG_NAMESPACE);
+	return config.get(CONFIG_PROPS.ENABLE_HTTP) !== false; // Default to true
+}
+
+/**
+ * Get HTTP endpoints from VSCode settings
+ * @returns {Array<{name?: string, url: string, method?: string, headers?: Object, resultPath?: string, notFoundStatuses?: number[]}>}
+ */
+function getHttpEndpoints() {
+	const config = vscode.workspace.getConfiguration(CONFIG_NAMESPACE);
+	return config.get(CONFIG_PROPS.HTTP_ENDPOINTS) || [];
+}
+
+/**
+ * Replace the {value} placeholder in a template
+ * @param {string} template
+ * @param {string} value - Already encoded if needed
+ * @returns {string}
+ */
+function fillTemplate(template, value) {
+	return String(template).replace(VALUE_PLACEHOLDER, value);
+}
+
+/**
+ * Get the name shown in the source of an endpoint (its host if no name is configured)
+ * @param {{name?: string, url: string}} endpoint
+ * @returns {string}
+ */
+function getEndpointName(endpoint) {
+	if (endpoint.name) {
+		return endpoint.name;
+	}
+
+	try {
+		return new URL(fillTemplate(endpoint.url, "")).host;
+	} catch (_error) {
+		return endpoint.url;
+	}
+}
+
+/**
+ * Search for a value in a single HTTP endpoint
+ * @param {Object} endpoint - Endpoint configuration
+ * @param {string|number} searchValue
+ * @param {AbortSignal} [signal] - Aborts the request
+ * @returns {Promise<any | null>} - The payload if found, null otherwise
+ */
+async function fetchEndpoint(endpoint, searchValue, signal) {
+	const {
+		url,
+		method = "GET",
+		headers = {},
+		resultPath,
+		notFoundStatuses = [404],
+	} = endpoint;
+
+	const requestHeaders = { Accept: "application/json" };
+	for (const [header, value] of Object.entries(headers)) {
+		requestHeaders[header] = fillTemplate(value, String(searchValue));
+	}
+
+	const response = await fetch(
+		fillTemplate(url, encodeURIComponent(String(searchValue))),
+		{ method, headers: requestHeaders, signal },
+	);
+
+	if (notFoundStatuses.includes(response.status)) {
+		return null;
+	}
+
+	if (!response.ok) {
+		throw new Error(`HTTP ${response.status} ${response.statusText}`);
+	}
+
+	const payload = getValueAtPath(await response.json(), resultPath);
+	if (payload === undefined || payload === null) {
+		return null;
+	}
+
+	return payload;
+}
+
+/**
+ * Find the payloads matching a value in the configured HTTP endpoints
+ * Only the first match is cached for the debugger
+ * @param {string|number} searchValue - The value to search for
+ * @param {boolean} all - Query every endpoint, instead of stopping at the first match
+ * @param {import("./lookupTimeout.js").LookupOptions} [options]
+ * @returns {Promise<Array<{document: any, source: string}>>} - One payload per matching endpoint
+ */
+async function findHttpMatches(searchValue, all, options = {}) {
+	const matches = [];
+
+	if (!isHttpEnabled()) {
+		return matches;
+	}
+
+	const endpoints = getHttpEndpoints();
+
+	// Search in each endpoint in order
+	for (const endpoint of endpoints) {
+		if (options.signal?.aborted) {
+			return matches;
+		}
+
+		if (!endpoint.url) {
+			continue;
+		}
+
+		const name = getEndpointName(endpoint);
+
+		try {
+			const document = await runQueryWithTimeout(
+				(signal) => fetchEndpoint(endpoint, searchValue, signal),
+				options,
+			);
+
+			if (document !== null) {
+				const source = `HTTP.${name}`;
+				console.log(`[HoverLookup] Found document in HTTP endpoint: ${name}`);
+
+				// Add to cache for future synchronous lookups
+				if (matches.length === 0) {
+					addToMongoCache(searchValue, document, source);
+				}
+
+				matches.push({ document, source });
+				if (!all) {
+					return matches;
+				}
+			}
+		} catch (error) {
+			if (!recordLookupError(options, `HTTP.${name}`, error)) {
+				console.error(
+					`[HoverLookup] Error searching HTTP endpoint ${name}: ${error.message}`,
+				);
+			}
+		}
+	}
+
+	return matches;
+}
+
+/**
+ * Search for a value in the configured HTTP endpoints
+ * @param {string|number} searchValue - The value to search for
+ * @param {import("./lookupTimeout.js").LookupOptions} [options]
+ * @returns {Promise<{document: any, source: string} | null>} - The payload and source if found, null otherwise
+ */
+async function searchHttpDatabase(searchValue, options = {}) {
+	const [match] = await findHttpMatches(searchValue, false, options);
+	return match || null;
+}
+
+/**
+ * Search for a value in every configured HTTP endpoint
+ * @param {string|number} searchValue - The value to search for
+ * @param {import("./lookupTimeout.js").LookupOptions} [options]
+ * @returns {Promise<Array<{document: any, source: string}>>} - One payload per matching endpoint
+ */
+async function searchHttpDatabaseAll(searchValue, options = {}) {
+	return findHttpMatches(searchValue, true, options);
+}
+
+export {
+	getHttpEndpoints,
+	searchHttpDatabase,
+	searchHttpDatabaseAll,
+	isHttpEnabled,
+};
@@ -0,0 +1,169 @@
+import * as vscode from "vscode";
+import { CONFIG_NAMESPACE, CONFIG_PROPS } from "../constants/config.js";
+
+/** MongoDB error code of a query that exceeded its maxTimeMS */
+const MONGO_MAX_TIME_EXPIRED = 50;
+
+/**
+ * Options of a remote lookup (MongoDB, SQL, HTTP)
+ * @typedef {Object} LookupOptions
+ * @property {AbortSignal} [signal] - Aborts the queries still running (hover cancelled or out of time)
+ * @property {Set<string>} [timedOut] - Filled with the sources that timed out
+ * @property {Set<string>} [failed] - Filled with the sources that failed (e.g., connection refused, authentication error, HTTP 500)
+ */
+
+/**
+ * Get the maximum time of a single query
+ * @returns {number} - Milliseconds (default: 2000)
+ */
+function getQueryTimeout() {
+	const config = vscode.workspace.getConfiguration(CONFIG_NAMESPACE);
+	return config.get(CONFIG_PROPS.QUERY_TIMEOUT_MS) || 2000;
+}
+
+/**
+ * Get the maximum total time of a hover lookup
+ * @returns {number} - Milliseconds (default: 5000)
+ */
+function getHoverTimeout() {
+	const config = vscode.workspace.getConfiguration(CONFIG_NAMESPACE);
+	return config.get(CONFIG_PROPS.HOVER_TIMEOUT_MS) || 5000;
+}
+
+/**
+ * Create the options of a hover lookup
+ * Its signal aborts when the hover is cancelled (e.g., the mouse moved away) or when hoverTimeoutMs is spent
+ * @param {vscode.CancellationToken} [token]
+ * @returns {LookupOptions & {dispose: () => void}} - dispose stops listening to the token
+ */
+function createHoverLookupOptions(token) {
+	const controller = new AbortController();
+	const subscription = token?.onCancellationRequested(() => controller.abort());
+	if (token?.isCancellationRequested) {
+		controller.abort();
+	}
+
+	return {
+		signal: AbortSignal.any([
+			controller.signal,
+			AbortSignal.timeout(getHoverTimeout()),
+		]),
+		timedOut: new Set(),
+		failed: new Set(),
+		dispose: () => subscription?.dispose(),
+	};
+}
+
+/**
+ * Reject when a signal aborts, without waiting for the promise
+ * Used for work that can't be aborted itself (e.g., SQL queries, waiting for a connection)
+ * @template T
+ * @param {Promise<T>} promise
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<T>}
+ */
+function abortable(promise, signal) {
+	if (!signal) {
+		return promise;
+	}
+	if (signal.aborted) {
+		promise.catch(() => {
+			// Ignore errors of abandoned work
+		});
+		return Promise.reject(signal.reason);
+	}
+
+	return new Promise((resolve, reject) => {
+		const onAbort = () => reject(signal.reason);
+		signal.addEventListener("abort", onAbort, { once: true });
+		promise.then(resolve, reject).finally(() => {
+			signal.removeEventListener("abort", onAbort);
+		});
+	});
+}
+
+/**
+ * Run a single query, aborted after queryTimeoutMs or when the lookup is aborted
+ * @template T
+ * @param {(signal: AbortSignal, timeoutMs: number) => Promise<T>} query - Receives the query's signal and timeout, for drivers that support them
+ * @param {LookupOptions} [options]
+ * @returns {Promise<T>}
+ */
+function runQueryWithTimeout(query, { signal } = {}) {
+	const timeoutMs = getQueryTimeout();
+	const timeout = AbortSignal.timeout(timeoutMs);
+	const querySignal = signal ? AbortSignal.any([signal, timeout]) : timeout;
+
+	if (querySignal.aborted) {
+		return Promise.reject(querySignal.reason);
+	}
+
+	return abortable(query(querySignal, timeoutMs), querySignal);
+}
+
+/**
+ * Check if an error means a query took too long (query timeout, hover timeout or MongoDB maxTimeMS)
+ * Cancellations (the hover went away) are not timeouts
+ * @param {any} error
+ * @returns {boolean}
+ */
+function isTimeoutError(error) {
+	return (
+		error?.name === "TimeoutError" || error?.code === MONGO_MAX_TIME_EXPIRED
+	);
+}
+
+/**
+ * Check if an error means the lookup was aborted, by a timeout or a cancellation
+ * @param {any} error
+ * @returns {boolean}
+ */
+function isAbortError(error) {
+	return isTimeoutError(error) || error?.name === "AbortError";
+}
+
+/**
+ * Record that a source couldn't answer, so the value isn't cached as missing from it
+ * @param {LookupOptions} options
+ * @param {string} source - e.g., "SQL" when the database can't be reached
+ */
+function recordLookupFailure(options, source) {
+	options?.failed?.add(source);
+}
+
+/**
+ * Record that a source timed out (the hover notes it) or failed
+ * Cancellations (the hover went away) are neither
+ * @param {LookupOptions} options
+ * @param {string} source - e.g., "MongoDB.production.users"
+ * @param {any} error
+ * @returns {boolean} - true if the error was a timeout or a cancellation (nothing else to report)
+ */
+function recordLookupError(options, source, error) {
+	if (isTimeoutError(error)) {
+		console.log(`[HoverLookup] Lookup timed out in ${source}`);
+		options?.timedOut?.add(source);
+	} else if (!isAbortError(error)) {
+		recordLookupFailure(options, source);
+	}
+	return isAbortError(error);
+}
+
+/**
+ * Check if every source answered, so a value none of them has is known to be missing
+ * @param {LookupOptions} options
+ * @returns {boolean} - false if a source timed out or failed
+ */
+function isLookupComplete(options) {
+	return !options.timedOut?.size && !options.failed?.size;
+}
+
+export {
+	abortable,
+	createHoverLookupOptions,
+	getQueryTimeout,
+	isLookupComplete,
+	recordLookupError,
+	recordLookupFailure,
+	runQueryWithTimeout,
+};
@@ -1,16 +1,122 @@
-import { MongoClient } from "mongodb";
+import { BSON, Long, MongoClient, ObjectId, UUID } from "mongodb";
 import * as vscode from "vscode";
 import { CONFIG_NAMESPACE, CONFIG_PROPS } from "../constants/config.js";
+import { createLimiter } from "./concurrency.js";
+import {
+	abortable,
+	recordLookupError,
+	recordLookupFailure,
+	runQueryWithTimeout,
+} from "./lookupTimeout.js";
+import {
+	getDiscoveredMongoPlan,
+	resetMongoDiscovery,
+} from "./mongoDiscovery.js";
+import { normalizeKey } from "./normalization.js";
+import { parsePath, pathMatchesValue, toMongoPath } from "./objectPath.js";
+import { interpolateGroups } from "./patterns.js";
+
+/**
+ * Documents read per value by a batch query, since a value may match several documents
+ * When a batch reaches the limit, the values it didn't match are searched one by one
+ */
+const MAX_BATCH_DOCUMENTS_PER_VALUE = 5;
+
+/**
+ * How the collections of a lookup are queried (mongodbSearchStrategy)
+ */
+const SEARCH_STRATEGY = {
+	SEQUENTIAL: "sequential",
+	PARALLEL: "parallel",
+};
+
+/**
+ * States of the MongoDB connection, shown in the status bar
+ */
+const CONNECTION_STATE = /** @type {const} */ ({
+	DISCONNECTED: "disconnected",
+	CONNECTING: "connecting",
+	CONNECTED: "connected",
+	RECONNECTING: "reconnecting",
+	UNAVAILABLE: "unavailable",
+});
+
+/** Delay before the first reconnection attempt, doubled after each failure */
+const INITIAL_BACKOFF_MS = 1000;
+/** Maximum delay between reconnection attempts */
+const MAX_BACKOFF_MS = 60 * 1000;
+/** Consecutive failures after which the circuit breaker opens and lookups skip MongoDB */
+const CIRCUIT_BREAKER_THRESHOLD = 3;
+/** How long a query waits for an available server, so hovers don't hang on a dead one */
+const SERVER_SELECTION_TIMEOUT_MS = 5000;
 
 let mongoClient = null;
+/** @type {Promise<MongoClient | null> | null} Pending connection, shared by concurrent lookups */
+let connectPromise = null;
+/** Incremented on disconnect, so a pending connection to a previous configuration is dropped */
+let connectionId = 0;
+/** @type {typeof CONNECTION_STATE[keyof typeof CONNECTION_STATE]} */
+let connectionState = CONNECTION_STATE.DISCONNECTED;
+/** Consecutive failed connections */
+let failureCount = 0;
+/** No connection is attempted by lookups before this time (backoff) */
+let retryAt = 0;
+let reconnectTimer = null;
+
+const connectionStateEmitter = new vscode.EventEmitter();
+
+/**
+ * Fired with the connection status when the connection state changes
+ * @type {vscode.Event<{state: string, failureCount: number, retryAt: number}>}
+ */
+const onDidChangeMongoConnectionState = connectionStateEmitter.event;
+
+/**
+ * Types a search field can be stored as (mongodbCollections[].fieldTypes)
+ */
+const FIELD_TYPE = /** @type {const} */ ({
+	AUTO: "auto",
+	STRING: "string",
+	NUMBER: "number",
+	OBJECT_ID: "objectId",
+	UUID: "uuid",
+});
+
+const NUMERIC_REGEX = /^-?\d+(\.\d+)?$/;
+const INTEGER_REGEX = /^-?\d+$/;
+/** Range of 64-bit integers (BSON Long) */
+const MIN_LONG = -(2n ** 63n);
+const MAX_LONG = 2n ** 63n - 1n;
+const OBJECT_ID_REGEX = /^[0-9a-f]{24}$/i;
 
 /**
  * In-memory cache for MongoDB results
  * Used for synchronous lookups during debug hover
- * @type {Map<string, {document: any, source: string, timestamp: number}>}
+ * @type {Map<string, {document: any, source: string, matchedField?: string | null, timestamp: number}>}
  */
 const mongoCache = new Map();
 
+/**
+ * Values remote sources (MongoDB, SQL and HTTP) were searched for and didn't have
+ * Keeps lookups of unknown literals from querying every collection on every hover
+ * @type {Map<string, number>} Map of cache key to the time of the miss
+ */
+const mongoMissCache = new Map();
+
+/**
+ * How long entries are still served after the cache TTL, marked as stale (0: not served)
+ * Set by the persistent cache, which keeps entries across sessions
+ */
+let staleCacheTTL = 0;
+
+const cacheChangeEmitter = new vscode.EventEmitter();
+
+/**
+ * Fired when an entry is added to the MongoDB cache, or when it is cleared
+ * @type {vscode.Event<{cleared: boolean}>}
+ */
+const onDidChangeMongoCache = cacheChangeEmitter.event;
+
 /**
  * Get maximum cache size from configuration
  * @returns {number} - Maximum cache size (default: 1000)
@@ -30,6 +136,16 @@ function getCacheTTL() {
 	return minutes * 60 * 1000;
 }
 
+/**
+ * Get miss cache TTL from configuration in milliseconds
+ * @returns {number} - Miss cache TTL in milliseconds (default: 30 seconds, 0 disables the miss cache)
+ */
+function getMissCacheTTL() {
+	const config = vscode.workspace.getConfiguration(CONFIG_NAMESPACE);
+	const minutes = config.get(CONFIG_PROPS.MONGODB_MISS_CACHE_TTL_MINUTES);
+	return (typeof minutes === "number" ? minutes : 0.5) * 60 * 1000;
+}
+
 /**
  * Check if MongoDB is enabled
  * @returns {boolean}
@@ -53,64 +169,399 @@ function getMongoConfig() {
 }
 
 /**
- * Connect to MongoDB
- * @returns {Promise<MongoClient | null>}
+ * Get the MongoDB connection status
+ * @returns {{state: typeof CONNECTION_STATE[keyof typeof CONNECTION_STATE], failureCount: number, retryAt: number}}
  */
-async function connectMongo() {
-	try {
+function getMongoConnectionStatus() {
+	return { state: connectionState, failureCount, retryAt };
+}
+
+/**
+ * Update the connection state, notifying listeners (e.g., the status bar)
+ * @param {typeof CONNECTION_STATE[keyof typeof CONNECTION_STATE]} state
+ */
+function setConnectionState(state) {
+	if (state !== connectionState) {
+		connectionState = state;
+		connectionStateEmitter.fire(getMongoConnectionStatus());
+	}
+}
+
+/**
+ * Record a failed connection and schedule the next attempt with exponential backoff
+ * After CIRCUIT_BREAKER_THRESHOLD failures in a row, the circuit opens: MongoDB is shown as unavailable
+ * and lookups skip it instead of waiting, until a background attempt succeeds
+ */
+function recordConnectionFailure() {
+	failureCount++;
+	const delay = Math.min(
+		INITIAL_BACKOFF_MS * 2 ** (failureCount - 1),
+		MAX_BACKOFF_MS,
+	);
+	retryAt = Date.now() + delay;
+
+	setConnectionState(
+		failureCount >= CIRCUIT_BREAKER_THRESHOLD
+			? CONNECTION_STATE.UNAVAILABLE
+			: CONNECTION_STATE.RECONNECTING,
+	);
+
+	clearTimeout(reconnectTimer);
+	reconnectTimer = setTimeout(() => {
+		reconnectTimer = null;
 		const { url } = getMongoConfig();
+		if (url && !mongoClient && !connectPromise) {
+			openConnection(url);
+		}
+	}, delay);
+	// Don't keep the extension host alive for a reconnection
+	reconnectTimer.unref?.();
 
-		if (!url) {
-			return null;
+	console.log(
+		`[HoverLookup] MongoDB connection failed ${failureCount} time(s), retrying in ${delay / 1000}s`,
+	);
+}
+
+/**
+ * Watch the driver's server monitoring, to notice when the server goes away
+ * The driver checks the server in background, so lookups don't need to ping it
+ * @param {MongoClient} client
+ */
+function watchTopology(client) {
+	client.on("topologyDescriptionChanged", ({ newDescription }) => {
+		if (client !== mongoClient) {
+			return;
 		}
 
-		// Check if existing connection is still valid
-		if (mongoClient) {
-			try {
-				// Ping to check if connection is alive
-				await mongoClient.db().admin().ping();
-				return mongoClient;
-			} catch (_error) {
-				// Connection is dead, close it and reconnect
-				console.log("[HoverLookup] MongoDB connection lost, reconnecting...");
-				try {
-					await mongoClient.close();
-				} catch (_closeError) {
-					// Ignore close errors
-				}
-				mongoClient = null;
+		const hasAvailableServer = [...newDescription.servers.values()].some(
+			(server) => server.type !== "Unknown",
+		);
+
+		if (!hasAvailableServer && connectionState === CONNECTION_STATE.CONNECTED) {
+			console.log("[HoverLookup] MongoDB server went away, reconnecting...");
+			mongoClient = null;
+			client.close().catch(() => {
+				// Ignore close errors
+			});
+			recordConnectionFailure();
+		}
+	});
+}
+
+/**
+ * Open a new connection, shared by the lookups waiting for it
+ * @param {string} url
+ * @returns {Promise<MongoClient | null>}
+ */
+async function openConnection(url) {
+	const id = connectionId;
+
+	const connect = async () => {
+		setConnectionState(
+			failureCount > 0
+				? CONNECTION_STATE.RECONNECTING
+				: CONNECTION_STATE.CONNECTING,
+		);
+
+		let client = null;
+		try {
+			client = new MongoClient(url, {
+				serverSelectionTimeoutMS: SERVER_SELECTION_TIMEOUT_MS,
+			});
+			watchTopology(client);
+			await client.connect();
+		} catch (error) {
+			console.log(
+				`[HoverLookup] Failed to connect to MongoDB: ${error.message}`,
+			);
+			client?.close().catch(() => {
+				// Ignore close errors
+			});
+			if (id === connectionId) {
+				recordConnectionFailure();
 			}
+			return null;
+		}
+
+		// The configuration changed while connecting
+		if (id !== connectionId) {
+			await client.close();
+			return null;
 		}
 
-		mongoClient = new MongoClient(url);
-		await mongoClient.connect();
+		mongoClient = client;
+		failureCount = 0;
+		retryAt = 0;
+		setConnectionState(CONNECTION_STATE.CONNECTED);
 		console.log("[HoverLookup] Connected to MongoDB");
+		return client;
+	};
+
+	connectPromise = connect();
+	try {
+		return await connectPromise;
+	} finally {
+		if (id === connectionId) {
+			connectPromise = null;
+		}
+	}
+}
+
+/**
+ * Connect to MongoDB
+ * Reuses the connection pool without checking it: the driver's monitoring reports a lost server (see watchTopology)
+ * Returns null right away while waiting to reconnect, so hovers never wait on a dead server
+ * @returns {Promise<MongoClient | null>}
+ */
+async function connectMongo() {
+	const { url } = getMongoConfig();
+
+	if (!url) {
+		return null;
+	}
+
+	if (mongoClient) {
 		return mongoClient;
-	} catch (error) {
-		console.log(`[HoverLookup] Failed to connect to MongoDB: ${error.message}`);
-		mongoClient = null;
+	}
+
+	// Another lookup is already connecting, only wait for it if it's not a retry
+	if (connectPromise) {
+		return failureCount > 0 ? null : connectPromise;
+	}
+
+	// Backing off after a failure (or circuit open), a timer retries in background
+	if (Date.now() < retryAt) {
 		return null;
 	}
+
+	return openConnection(url);
 }
 
 /**
  * Disconnect from MongoDB
+ * Also resets the backoff and closes the circuit breaker
  */
 async function disconnectMongo() {
+	// Collections may be different on the next connection
+	resetMongoDiscovery();
+
+	connectionId++;
+	connectPromise = null;
+	clearTimeout(reconnectTimer);
+	reconnectTimer = null;
+	failureCount = 0;
+	retryAt = 0;
+
 	if (mongoClient) {
-		await mongoClient.close();
+		const client = mongoClient;
 		mongoClient = null;
+		await client.close();
 		console.log("[HoverLookup] Disconnected from MongoDB");
 	}
+
+	setConnectionState(CONNECTION_STATE.DISCONNECTED);
+}
+
+/**
+ * Get the cache key of a value
+ * Keys include the value type, so a hovered 42 and "42" are cached separately
+ * @param {string|number} value
+ * @returns {string}
+ */
+function getCacheKey(value) {
+	const type = typeof value === "number" ? "number" : "string";
+	return `${type}:${normalizeKey(value)}`;
+}
+
+/**
+ * Convert numeric text to the number it may be stored as
+ * Integers too large to be exact as a double are searched as 64-bit integers, never as a rounded number
+ * @param {string} text
+ * @returns {any[]} - Empty if the text is not a number, or an integer out of the 64-bit range
+ */
+function toNumericValues(text) {
+	if (!NUMERIC_REGEX.test(text)) {
+		return [];
+	}
+
+	const number = Number(text);
+	if (!INTEGER_REGEX.test(text) || Number.isSafeInteger(number)) {
+		return [number];
+	}
+
+	const integer = BigInt(text);
+	return integer >= MIN_LONG && integer <= MAX_LONG
+		? [Long.fromBigInt(integer)]
+		: [];
+}
+
+/**
+ * Convert a value to the BSON values it may be stored as
+ * @param {string|number} value
+ * @param {typeof FIELD_TYPE[keyof typeof FIELD_TYPE]} [type]
+ * @returns {any[]} - Empty if the value can't be converted to the type
+ */
+function toBsonValues(value, type = FIELD_TYPE.AUTO) {
+	const text = String(value);
+	const asNumber = () => toNumericValues(text);
+	const asObjectId = () =>
+		OBJECT_ID_REGEX.test(text) ? [new ObjectId(text)] : [];
+	const asUuid = () => (UUID.isValid(text) ? [new UUID(text)] : []);
+
+	switch (type) {
+		case FIELD_TYPE.STRING:
+			return [text];
+		case FIELD_TYPE.NUMBER:
+			return asNumber();
+		case FIELD_TYPE.OBJECT_ID:
+			return asObjectId();
+		case FIELD_TYPE.UUID:
+			return asUuid();
+		default:
+			// Hovered type first, then every conversion that applies
+			if (typeof value === "number") {
+				return [value, text];
+			}
+			return [text, ...asNumber(), ...asObjectId(), ...asUuid()];
+	}
+}
+
+/**
+ * Build the condition for a single search field
+ * @param {Array<string|number>} searchValues - Hovered value and its normalized form
+ * @param {typeof FIELD_TYPE[keyof typeof FIELD_TYPE]} [type]
+ * @returns {any | null} - null if no value can be converted to the field type
+ */
+function buildFieldCondition(searchValues, type) {
+	const seen = new Set();
+	const bsonValues = [];
+
+	for (const value of searchValues) {
+		for (const bsonValue of toBsonValues(value, type)) {
+			const key = `${bsonValue?.constructor?.name}:${String(bsonValue)}`;
+			if (!seen.has(key)) {
+				seen.add(key);
+				bsonValues.push(bsonValue);
+			}
+		}
+	}
+
+	if (bsonValues.length === 0) {
+		return null;
+	}
+
+	return bsonValues.length === 1 ? bsonValues[0] : { $in: bsonValues };
+}
+
+/**
+ * Build the query for a search value from the searchFields of a collection
+ * Paths like "codes[0]" are converted to MongoDB dot notation ("codes.0")
+ * @param {Array<string|number>} searchValues - Hovered value and its normalized form
+ * @param {string[]} searchFields
+ * @param {Record<string, string>} fieldTypes
+ * @returns {Object | null} - null if the value can't be stored in any of the fields
+ */
+function buildSearchFieldsQuery(searchValues, searchFields, fieldTypes) {
+	const conditions = [];
+	for (const field of searchFields) {
+		const condition = buildFieldCondition(searchValues, fieldTypes[field]);
+		if (condition !== null) {
+			conditions.push({ [toMongoPath(field)]: condition });
+		}
+	}
+
+	return conditions.length > 0 ? { $or: conditions } : null;
+}
+
+/**
+ * Fill the placeholders of a query template or pipeline (mongodbCollections[].query and .pipeline)
+ * `{{value}}` is the hovered value (a string that is only `{{value}}` keeps its type), `{{normalizedValue}}` its normalized form
+ * and `{{regexValue}}` the value escaped for `$regex`. Extended JSON (e.g., {"$oid": "{{value}}"}) is converted to BSON
+ * @param {any} template
+ * @param {string|number} searchValue
+ * @returns {any | null} - null if the value can't be converted (e.g., not a valid ObjectId)
+ */
+function fillQueryTemplate(template, searchValue) {
+	const filled = interpolateGroups(template, {
+		value: searchValue,
+		normalizedValue: normalizeKey(searchValue),
+		regexValue: String(searchValue).replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
+	});
+
+	try {
+		return BSON.EJSON.deserialize(filled, { relaxed: true });
+	} catch (_error) {
+		return null;
+	}
+}
+
+/**
+ * Find one document matching a query, shaped by the collection's pipeline and projection
+ * With a pipeline, the query becomes its first `$match` stage
+ * @param {import("mongodb").Collection} collection
+ * @param {Object} query
+ * @param {Object} collectionConfig - Entry of mongodbCollections
+ * @param {string|number} searchValue - Fills the pipeline placeholders
+ * @param {import("./lookupTimeout.js").LookupOptions} [options]
+ * @returns {Promise<Object | null>}
+ */
+async function findOneDocument(
+	collection,
+	query,
+	collectionConfig,
+	searchValue,
+	options = {},
+) {
+	const { project, pipeline } = collectionConfig;
+	const hasProjection = project && typeof project === "object";
+
+	if (!Array.isArray(pipeline) || pipeline.length === 0) {
+		return runQueryWithTimeout(
+			(signal, maxTimeMS) =>
+				collection.findOne(query, {
+					...(hasProjection ? { projection: project } : {}),
+					maxTimeMS,
+					signal,
+				}),
+			options,
+		);
+	}
+
+	const stages = fillQueryTemplate(pipeline, searchValue);
+	if (stages === null) {
+		return null;
+	}
+
+	// Limit before the pipeline, so stages like $lookup only run for the shown document
+	const [document] = await runQueryWithTimeout(
+		(signal, maxTimeMS) =>
+			collection
+				.aggregate(
+					[
+						{ $match: query },
+						{ $limit: 1 },
+						...stages,
+						...(hasProjection ? [{ $project: project }] : []),
+						{ $limit: 1 },
+					],
+					{ maxTimeMS, signal },
+				)
+				.toArray(),
+		options,
+	);
+
+	return document || null;
 }
 
 /**
  * Add a value to the MongoDB cache
- * @param {string} key - The search value
+ * Keys are normalized, so values that only differ by format share an entry
+ * @param {string|number} key - The search value
  * @param {any} document - The MongoDB document
  * @param {string} source - The source string (e.g., "MongoDB.database.collection")
+ * @param {string | null} [matchedField] - The search field the value matched
  */
-function addToMongoCache(key, document, source) {
+function addToMongoCache(key, document, source, matchedField = null) {
 	const maxCacheSize = getMaxCacheSize();
 
 	// Check if cache is full
@@ -120,20 +571,112 @@ function addToMongoCache(key, document, source) {
 		mongoCache.delete(firstKey);
 	}
 
-	mongoCache.set(key, {
+	const cacheKey = getCacheKey(key);
+	mongoCache.set(cacheKey, {
 		document,
 		source,
+		matchedField,
 		timestamp: Date.now(),
 	});
+	mongoMissCache.delete(cacheKey);
+	cacheChangeEmitter.fire({ cleared: false });
+}
+
+/**
+ * Get every entry of the MongoDB cache, stale ones included (e.g., to save them)
+ * @returns {Array<[string, {document: any, source: string, matchedField?: string | null, timestamp: number}]>}
+ */
+function getMongoCacheEntries() {
+	return [...mongoCache];
+}
+
+/**
+ * Put saved entries back in the MongoDB cache, keeping their original time
+ * Entries already cached with a newer time are kept
+ * @param {Array<[string, {document: any, source: string, matchedField?: string | null, timestamp: number}]>} entries
+ */
+function restoreMongoCacheEntries(entries) {
+	const maxCacheSize = getMaxCacheSize();
+
+	// Oldest first, so the newest entries are kept when the cache is full
+	const sortedEntries = [...entries].sort(
+		([, a], [, b]) => a.timestamp - b.timestamp,
+	);
+
+	for (const [cacheKey, entry] of sortedEntries) {
+		const cached = mongoCache.get(cacheKey);
+		if (cached && cached.timestamp >= entry.timestamp) {
+			continue;
+		}
+
+		mongoCache.delete(cacheKey);
+		if (mongoCache.size >= maxCacheSize) {
+			mongoCache.delete(mongoCache.keys().next().value);
+		}
+		mongoCache.set(cacheKey, entry);
+	}
+}
+
+/**
+ * Set how long expired entries are still served as stale
+ * @param {number} ttl - Milliseconds after the entry was cached (0: not served)
+ */
+function setMongoCacheStaleTTL(ttl) {
+	staleCacheTTL = ttl;
+}
+
+/**
+ * Remember that remote sources don't have a value, so it isn't queried again until the miss TTL expires
+ * @param {string|number} key - The search value
+ */
+function addToMongoMissCache(key) {
+	// While MongoDB can't be reached, a miss doesn't mean the value doesn't exist
+	if (getMissCacheTTL() <= 0 || failureCount > 0) {
+		return;
+	}
+
+	// Check if miss cache is full
+	if (mongoMissCache.size >= getMaxCacheSize()) {
+		// Remove oldest entry (first entry in Map)
+		const firstKey = mongoMissCache.keys().next().value;
+		mongoMissCache.delete(firstKey);
+	}
+
+	mongoMissCache.set(getCacheKey(key), Date.now());
+}
+
+/**
+ * Check if remote sources are known not to have a value (synchronous)
+ * Tells "known missing" apart from "not yet queried", which getFromMongoCache can't
+ * @param {string|number} key - The search value
+ * @returns {boolean}
+ */
+function isKnownMongoMiss(key) {
+	const cacheKey = getCacheKey(key);
+	const missedAt = mongoMissCache.get(cacheKey);
+
+	if (missedAt === undefined) {
+		return false;
+	}
+
+	// Check if miss entry is expired
+	if (Date.now() - missedAt > getMissCacheTTL()) {
+		mongoMissCache.delete(cacheKey);
+		return false;
+	}
+
+	return true;
 }
 
 /**
  * Get a value from the MongoDB cache (synchronous)
- * @param {string} key - The search value
- * @returns {{document: any, source: string} | null}
+ * Expired entries kept by the persistent cache are returned as stale
+ * @param {string|number} key - The search value
+ * @returns {{document: any, source: string, matchedField: string | null, timestamp: number, stale: boolean} | null}
  */
 function getFromMongoCache(key) {
-	const cached = mongoCache.get(key);
+	const cacheKey = getCacheKey(key);
+	const cached = mongoCache.get(cacheKey);
 
 	if (!cached) {
 		return null;
@@ -143,117 +686,616 @@ function getFromMongoCache(key) {
 
 	// Check if cache entry is expired
 	const age = Date.now() - cached.timestamp;
-	if (age > cacheTTL) {
-		mongoCache.delete(key);
+	if (age > Math.max(cacheTTL, staleCacheTTL)) {
+		mongoCache.delete(cacheKey);
 		return null;
 	}
 
 	return {
 		document: cached.document,
 		source: cached.source,
+		matchedField: cached.matchedField || null,
+		timestamp: cached.timestamp,
+		stale: age > cacheTTL,
 	};
 }
 
 /**
- * Clear the MongoDB cache
+ * Clear the MongoDB cache, including known misses (and the persistent cache, which listens to it)
  */
 function clearMongoCache() {
 	mongoCache.clear();
+	mongoMissCache.clear();
+	cacheChangeEmitter.fire({ cleared: true });
 	console.log("[HoverLookup] MongoDB cache cleared");
 }
 
 /**
- * Search for a value in MongoDB collections
- * @param {string} searchValue - The value to search for
- * @returns {Promise<{document: Object, source: string} | null>} - The document and source if found, null otherwise
+ * Forget the values remote sources didn't have, so they're searched again
+ * Found values are kept, since they still exist whatever sources are added
  */
-async function searchMongoDatabase(searchValue) {
-	// Check if MongoDB is enabled
+function clearMongoMissCache() {
+	mongoMissCache.clear();
+	console.log("[HoverLookup] MongoDB miss cache cleared");
+}
+
+/**
+ * Get the maximum number of MongoDB queries running at the same time for a lookup
+ * @returns {number} - 1 with the sequential strategy (default: 4 with the parallel strategy)
+ */
+function getMaxConcurrentQueries() {
+	const config = vscode.workspace.getConfiguration(CONFIG_NAMESPACE);
+	if (
+		config.get(CONFIG_PROPS.MONGODB_SEARCH_STRATEGY) ===
+		SEARCH_STRATEGY.SEQUENTIAL
+	) {
+		return 1;
+	}
+	return Math.max(
+		1,
+		config.get(CONFIG_PROPS.MONGODB_MAX_CONCURRENT_QUERIES) || 4,
+	);
+}
+
+/**
+ * Get the values searched for a value: the value itself and its normalized form (hoverLookup.keyNormalization)
+ * @param {string|number} value
+ * @returns {Array<string|number>}
+ */
+function getSearchValues(value) {
+	const normalized = normalizeKey(value);
+	return normalized === String(value) ? [value] : [value, normalized];
+}
+
+/**
+ * Find which search field of a document holds one of the values
+ * @param {Object} document
+ * @param {string[]} searchFields
+ * @param {Array<string|number>} searchValues
+ * @returns {string | null} - null if none does (e.g., projected out)
+ */
+function findMatchedField(document, searchFields, searchValues) {
+	return (
+		searchFields.find((field) =>
+			searchValues.some((value) => pathMatchesValue(document, field, value)),
+		) || null
+	);
+}
+
+/**
+ * @typedef {Object} CollectionTarget
+ * @property {import("mongodb").Db} db
+ * @property {string | null} dbName - null for the default database
+ * @property {Object} collectionConfig - Entry of mongodbCollections (or of the discovered plan)
+ */
+
+/**
+ * Connect and list the collections to search, in priority order (databases, then collections)
+ * @param {import("./lookupTimeout.js").LookupOptions} options
+ * @returns {Promise<CollectionTarget[]>} - Empty if MongoDB is disabled, can't be reached or has nothing to search
+ */
+async function getCollectionTargets(options) {
 	if (!isMongoDBEnabled()) {
-		return null;
+		return [];
 	}
 
-	const client = await connectMongo();
+	// A pending connection keeps going in background if the lookup gives up on it
+	const client = await abortable(connectMongo(), options.signal);
 	if (!client) {
-		return null;
+		if (getMongoConfig().url) {
+			recordLookupFailure(options, "MongoDB");
+		}
+		return [];
 	}
 
+	const { databases, collections: configuredCollections } = getMongoConfig();
+
+	// Without configured collections, search every collection with the discovered search fields
+	const collections = (
+		configuredCollections.length > 0
+			? configuredCollections
+			: await abortable(
+					getDiscoveredMongoPlan(client, databases),
+					options.signal,
+				)
+	).filter(
+		({ collection, searchFields = [], query }) =>
+			collection &&
+			Array.isArray(searchFields) &&
+			(searchFields.length > 0 ||
+				(query !== null && typeof query === "object")),
+	);
+
+	// If no databases specified, use default database
+	const databasesToSearch =
+		databases && databases.length > 0 ? databases : [null];
+
+	return databasesToSearch.flatMap((dbName) => {
+		const db = dbName ? client.db(dbName) : client.db();
+		return collections.map((collectionConfig) => ({
+			db,
+			dbName,
+			collectionConfig,
+		}));
+	});
+}
+
+/**
+ * Run a query on each collection, up to mongodbMaxConcurrentQueries at the same time
+ * Results are yielded in priority order. When the caller stops, queries still waiting or running are aborted
+ * @template T
+ * @param {CollectionTarget[]} targets
+ * @param {(target: CollectionTarget, options: import("./lookupTimeout.js").LookupOptions) => Promise<T>} query - Must not throw
+ * @param {import("./lookupTimeout.js").LookupOptions} options
+ * @returns {AsyncGenerator<T | null>}
+ */
+async function* queryCollectionsInOrder(targets, query, options) {
+	const done = new AbortController();
+	const queryOptions = {
+		...options,
+		signal: options.signal
+			? AbortSignal.any([options.signal, done.signal])
+			: done.signal,
+	};
+	const limit = createLimiter(getMaxConcurrentQueries());
+
+	// Scheduled in priority order, so the limiter starts them in that order
+	const queries = targets.map((target) =>
+		limit(async () =>
+			queryOptions.signal.aborted ? null : query(target, queryOptions),
+		),
+	);
+
+	try {
+		for (const pending of queries) {
+			yield await pending;
+		}
+	} finally {
+		done.abort();
+	}
+}
+
+/**
+ * Query a single collection for a value
+ * @param {CollectionTarget} target
+ * @param {string|number} searchValue - The value to search for
+ * @param {import("./lookupTimeout.js").LookupOptions} options
+ * @returns {Promise<{document: Object, source: string, matchedField: string | null, relations: Array<Object>} | null>} - null if not found, or on error
+ */
+async function findInCollection(
+	{ db, dbName, collectionConfig },
+	searchValue,
+	options,
+) {
+	const {
+		collection: collectionName,
+		searchFields = [],
+		fieldTypes = {},
+		relations = [],
+		query: queryTemplate,
+	} = collectionConfig;
+	const dbDisplay = dbName ? `${dbName}` : "default";
+	const source = `MongoDB.${dbDisplay}.${collectionName}`;
+	const searchValues = getSearchValues(searchValue);
+
 	try {
-		const { databases, collections } = getMongoConfig();
+		// Build query: the collection's template if any, else the value in any of the searchFields
+		const query =
+			queryTemplate !== null && typeof queryTemplate === "object"
+				? fillQueryTemplate(queryTemplate, searchValue)
+				: buildSearchFieldsQuery(searchValues, searchFields, fieldTypes);
 
-		if (!collections || collections.length === 0) {
+		// The value can't be stored in this collection
+		if (query === null) {
 			return null;
 		}
 
-		// If no databases specified, use default database
-		const databasesToSearch =
-			databases && databases.length > 0 ? databases : [null];
+		const document = await findOneDocument(
+			db.collection(collectionName),
+			query,
+			collectionConfig,
+			searchValue,
+			options,
+		);
+		if (!document) {
+			return null;
+		}
+
+		return {
+			document,
+			source,
+			matchedField: findMatchedField(document, searchFields, searchValues),
+			relations,
+		};
+	} catch (error) {
+		if (!recordLookupError(options, source, error)) {
+			console.error(
+				`[HoverLookup] Error searching collection ${dbDisplay}.${collectionName}: ${error.message}`,
+			);
+		}
+		return null;
+	}
+}
+
+/**
+ * Query a single collection for several values with one $in query
+ * Collections with a query template or a pipeline are filled per value, so they are still queried once per value
+ * With a projection, the documents are read twice: the search fields first, to tell which value each document matched,
+ * then the projected documents of the matches
+ * @param {CollectionTarget} target
+ * @param {Array<string|number>} values - Without duplicates
+ * @param {import("./lookupTimeout.js").LookupOptions} options
+ * @returns {Promise<Map<string|number, {document: Object, source: string, matchedField: string | null, relations: Array<Object>}>>} - First match of each value found
+ */
+async function findInCollectionBatch(target, values, options) {
+	const { db, dbName, collectionConfig } = target;
+	const {
+		collection: collectionName,
+		searchFields = [],
+		fieldTypes = {},
+		relations = [],
+		query: queryTemplate,
+		pipeline,
+		project,
+	} = collectionConfig;
+	const found = new Map();
+
+	if (
+		(queryTemplate !== null && typeof queryTemplate === "object") ||
+		(Array.isArray(pipeline) && pipeline.length > 0)
+	) {
+		for (const value of values) {
+			if (options.signal?.aborted) {
+				break;
+			}
+
+			const match = await findInCollection(target, value, options);
+			if (match) {
+				found.set(value, match);
+			}
+		}
+		return found;
+	}
+
+	const dbDisplay = dbName ? `${dbName}` : "default";
+	const source = `MongoDB.${dbDisplay}.${collectionName}`;
+	const hasProjection = project && typeof project === "object";
+
+	try {
+		const query = buildSearchFieldsQuery(
+			values.flatMap(getSearchValues),
+			searchFields,
+			fieldTypes,
+		);
 
-		// Search in each database in order
-		for (const dbName of databasesToSearch) {
-			const db = dbName ? client.db(dbName) : client.db();
+		// No value can be stored in this collection
+		if (query === null) {
+			return found;
+		}
 
-			for (const collectionConfig of collections) {
-				const {
-					collection: collectionName,
+		const collection = db.collection(collectionName);
+		const limit = values.length * MAX_BATCH_DOCUMENTS_PER_VALUE;
+		const documents = await runQueryWithTimeout(
+			(signal, maxTimeMS) =>
+				collection
+					.find(query, {
+						// Whole top-level fields, since array indexes can't be projected
+						...(hasProjection
+							? {
+									projection: Object.fromEntries(
+										searchFields.map((field) => [parsePath(field)[0], 1]),
+									),
+								}
+							: {}),
+						limit,
+						maxTimeMS,
+						signal,
+					})
+					.toArray(),
+			options,
+		);
+
+		// The first document of each value, like findOne
+		for (const value of values) {
+			const searchValues = getSearchValues(value);
+			for (const document of documents) {
+				const matchedField = findMatchedField(
+					document,
 					searchFields,
-					project,
-				} = collectionConfig;
-
-				if (
-					!collectionName ||
-					!Array.isArray(searchFields) ||
-					searchFields.length === 0
-				) {
-					continue;
+					searchValues,
+				);
+				if (matchedField) {
+					found.set(value, { document, source, matchedField, relations });
+					break;
 				}
+			}
+		}
 
-				try {
-					const collection = db.collection(collectionName);
+		if (hasProjection && found.size > 0) {
+			const projectedDocuments = await runQueryWithTimeout(
+				(signal, maxTimeMS) =>
+					collection
+						.find(
+							{
+								_id: {
+									$in: [...found.values()].map(({ document }) => document._id),
+								},
+							},
+							// _id is needed to pair the documents, and removed after if the projection excludes it
+							{ projection: { ...project, _id: 1 }, maxTimeMS, signal },
+						)
+						.toArray(),
+				options,
+			);
+			const documentsById = new Map(
+				projectedDocuments.map((document) => [String(document._id), document]),
+			);
 
-					// Build query: search for the value in any of the searchFields
-					const query = {
-						$or: searchFields.map((field) => ({
-							[field]: searchValue,
-						})),
-					};
+			for (const [value, match] of found) {
+				const document = documentsById.get(String(match.document._id));
+				if (!document) {
+					found.delete(value);
+					continue;
+				}
+				if (project._id === 0 || project._id === false) {
+					delete document._id;
+				}
+				match.document = document;
+			}
+		}
+
+		// Values with many documents may have filled the limit: the others aren't known to be missing yet
+		if (documents.length >= limit) {
+			for (const value of values) {
+				if (options.signal?.aborted) {
+					break;
+				}
 
-					// Build options with projection if provided
-					const options = {};
-					if (project && typeof project === "object") {
-						options.projection = project;
+				if (!found.has(value)) {
+					const match = await findInCollection(target, value, options);
+					if (match) {
+						found.set(value, match);
 					}
+				}
+			}
+		}
+	} catch (error) {
+		if (!recordLookupError(options, source, error)) {
+			console.error(
+				`[HoverLookup] Error searching collection ${dbDisplay}.${collectionName}: ${error.message}`,
+			);
+		}
+	}
 
-					const document = await collection.findOne(query, options);
+	return found;
+}
 
-					if (document) {
-						const dbDisplay = dbName ? `${dbName}` : "default";
-						const source = `MongoDB.${dbDisplay}.${collectionName}`;
-						console.log(
-							`[HoverLookup] Found document in MongoDB collection: ${dbDisplay}.${collectionName}`,
-						);
+/**
+ * Find the documents matching a value in MongoDB collections
+ * Each field is queried with the BSON types it may be stored as (mongodbCollections[].fieldTypes)
+ * With the parallel strategy, up to mongodbMaxConcurrentQueries queries run at once, and results are still taken
+ * in priority order (databases, then collections): a match wins once every query before it has missed
+ * Only the first match is cached for the debugger
+ * @param {string|number} searchValue - The value to search for
+ * @param {boolean} all - Search every collection of every database, instead of stopping at the first match
+ * @param {import("./lookupTimeout.js").LookupOptions} [options]
+ * @returns {Promise<Array<{document: Object, source: string, matchedField: string | null, relations: Array<Object>}>>} - One document per matching collection
+ */
+async function findMongoMatches(searchValue, all, options = {}) {
+	const matches = [];
 
-						// Add to cache for future synchronous lookups
-						addToMongoCache(searchValue, document, source);
+	try {
+		const targets = await getCollectionTargets(options);
+		const results = queryCollectionsInOrder(
+			targets,
+			(target, queryOptions) =>
+				findInCollection(target, searchValue, queryOptions),
+			options,
+		);
 
-						return { document, source };
-					}
-				} catch (error) {
-					const dbDisplay = dbName ? `${dbName}.` : "";
-					console.error(
-						`[HoverLookup] Error searching collection ${dbDisplay}${collectionName}: ${error.message}`,
-					);
-				}
+		for await (const match of results) {
+			if (!match) {
+				continue;
+			}
+
+			console.log(`[HoverLookup] Found document in ${match.source}`);
+
+			// Add to cache for future synchronous lookups
+			if (matches.length === 0) {
+				addToMongoCache(
+					searchValue,
+					match.document,
+					match.source,
+					match.matchedField,
+				);
+			}
+
+			matches.push(match);
+			if (!all) {
+				break;
 			}
 		}
 
-		return null;
+		return matches;
+	} catch (error) {
+		if (!recordLookupError(options, "MongoDB", error)) {
+			console.error(
+				`[HoverLookup] Error searching MongoDB database: ${error.message}`,
+			);
+		}
+		return matches;
+	}
+}
+
+/**
+ * Find the documents matching several values at once, with one $in query per collection instead of one query per value
+ * Collections are searched like findMongoMatches. The first match of every value found is cached for the debugger
+ * @param {Array<string|number>} values - The values to search for
+ * @param {boolean} all - Keep every match of each value, instead of the first one
+ * @param {import("./lookupTimeout.js").LookupOptions} [options]
+ * @returns {Promise<Map<string|number, Array<{document: Object, source: string, matchedField: string | null, relations: Array<Object>}>>>} - Matches of each value found, in priority order
+ */
+async function findMongoMatchesBatch(values, all, options = {}) {
+	const matchesByValue = new Map();
+	const uniqueValues = [...new Set(values)];
+
+	try {
+		const targets = await getCollectionTargets(options);
+		const results = queryCollectionsInOrder(
+			targets,
+			(target, queryOptions) =>
+				findInCollectionBatch(target, uniqueValues, queryOptions),
+			options,
+		);
+
+		for await (const found of results) {
+			for (const [value, match] of found || []) {
+				const valueMatches = matchesByValue.get(value) || [];
+				if (all || valueMatches.length === 0) {
+					valueMatches.push(match);
+					matchesByValue.set(value, valueMatches);
+				}
+			}
+
+			// Every value has its first match
+			if (!all && matchesByValue.size === uniqueValues.length) {
+				break;
+			}
+		}
 	} catch (error) {
-		console.error(
-			`[HoverLookup] Error searching MongoDB database: ${error.message}`,
+		if (!recordLookupError(options, "MongoDB", error)) {
+			console.error(
+				`[HoverLookup] Error searching MongoDB database: ${error.message}`,
+			);
+		}
+	}
+
+	// Add to cache for future synchronous lookups
+	for (const [value, [match]] of matchesByValue) {
+		console.log(
+			`[HoverLookup] Found document for "${value}" in ${match.source}`,
 		);
+		addToMongoCache(value, match.document, match.source, match.matchedField);
+	}
+
+	return matchesByValue;
+}
+
+/**
+ * Search for a value in MongoDB collections
+ * @param {string|number} searchValue - The value to search for
+ * @param {import("./lookupTimeout.js").LookupOptions} [options]
+ * @returns {Promise<{document: Object, source: string, matchedField: string | null, relations: Array<Object>} | null>} - The document and source if found, null otherwise
+ */
+async function searchMongoDatabase(searchValue, options = {}) {
+	const [match] = await findMongoMatches(searchValue, false, options);
+	return match || null;
+}
+
+/**
+ * Search for a value in every MongoDB collection of every database
+ * @param {string|number} searchValue - The value to search for
+ * @param {import("./lookupTimeout.js").LookupOptions} [options]
+ * @returns {Promise<Array<{document: Object, source: string, matchedField: string | null}>>} - One document per matching collection
+ */
+async function searchMongoDatabaseAll(searchValue, options = {}) {
+	return findMongoMatches(searchValue, true, options);
+}
+
+/**
+ * Search for several values at once in MongoDB collections (e.g., the values of an object)
+ * @param {Array<string|number>} values - The values to search for
+ * @param {import("./lookupTimeout.js").LookupOptions} [options]
+ * @returns {Promise<Map<string|number, {document: Object, source: string, matchedField: string | null, relations: Array<Object>}>>} - The first match of each value found
+ */
+async function searchMongoDatabaseBatch(values, options = {}) {
+	const matchesByValue = await findMongoMatchesBatch(values, false, options);
+	return new Map([...matchesByValue].map(([value, [match]]) => [value, match]));
+}
+
+/**
+ * Search for several values at once in every MongoDB collection of every database
+ * @param {Array<string|number>} values - The values to search for
+ * @param {import("./lookupTimeout.js").LookupOptions} [options]
+ * @returns {Promise<Map<string|number, Array<{document: Object, source: string, matchedField: string | null}>>>} - Every match of each value found
+ */
+async function searchMongoDatabaseBatchAll(values, options = {}) {
+	return findMongoMatchesBatch(values, true, options);
+}
+
+/**
+ * Find the document a relation points to (e.g., customerId -> users.id)
+ * The collection doesn't need to be in mongodbCollections. If it is, its projection, field types and relations are used
+ * @param {string} collectionName
+ * @param {string} targetField - Field of the target document (supports nested paths)
+ * @param {string|number} value - The value of the relation field
+ * @param {import("./lookupTimeout.js").LookupOptions} [options]
+ * @returns {Promise<{document: Object, source: string, relations: Array<Object>} | null>}
+ */
+async function findMongoRelated(
+	collectionName,
+	targetField,
+	value,
+	options = {},
+) {
+	if (!isMongoDBEnabled()) {
+		return null;
+	}
+
+	const client = await abortable(connectMongo(), options.signal);
+	if (!client) {
 		return null;
 	}
+
+	const { databases, collections } = getMongoConfig();
+	const collectionConfig =
+		collections.find(({ collection }) => collection === collectionName) || {};
+	const { fieldTypes = {}, relations = [] } = collectionConfig;
+
+	const searchValues = getSearchValues(value);
+	const condition = buildFieldCondition(searchValues, fieldTypes[targetField]);
+	if (condition === null) {
+		return null;
+	}
+
+	const databasesToSearch =
+		databases && databases.length > 0 ? databases : [null];
+
+	for (const dbName of databasesToSearch) {
+		if (options.signal?.aborted) {
+			return null;
+		}
+
+		const db = dbName ? client.db(dbName) : client.db();
+		const dbDisplay = dbName ? `${dbName}` : "default";
+
+		try {
+			const document = await findOneDocument(
+				db.collection(collectionName),
+				{ [toMongoPath(targetField)]: condition },
+				collectionConfig,
+				value,
+				options,
+			);
+
+			if (document) {
+				return {
+					document,
+					source: `MongoDB.${dbDisplay}.${collectionName}`,
+					relations,
+				};
+			}
+		} catch (error) {
+			const source = `MongoDB.${dbDisplay}.${collectionName}`;
+			if (!recordLookupError(options, source, error)) {
+				console.error(
+					`[HoverLookup] Error searching related collection ${dbDisplay}.${collectionName}: ${error.message}`,
+				);
+			}
+		}
+	}
+
+	return null;
 }
 
 /**
@@ -266,12 +1308,28 @@ async function loadMongoDatabase() {
 }
 
 export {
+	FIELD_TYPE,
+	CONNECTION_STATE,
 	getMongoConfig,
 	connectMongo,
 	disconnectMongo,
+	getMongoConnectionStatus,
+	onDidChangeMongoConnectionState,
 	loadMongoDatabase,
 	searchMongoDatabase,
+	searchMongoDatabaseAll,
+	searchMongoDatabaseBatch,
+	searchMongoDatabaseBatchAll,
+	findMongoRelated,
 	isMongoDBEnabled,
+	addToMongoCache,
 	getFromMongoCache,
+	getMongoCacheEntries,
+	restoreMongoCacheEntries,
+	setMongoCacheStaleTTL,
+	onDidChangeMongoCache,
+	addToMongoMissCache,
+	isKnownMongoMiss,
 	clearMongoCache,
+	clearMongoMissCache,
 };
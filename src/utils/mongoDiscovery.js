@@ -0,0 +1,137 @@
+/**
+ * Fields searched when they are indexed, after `_id` and before other unique fields
+ */
+const PREFERRED_FIELDS = ["id", "slug"];
+
+/**
+ * Discovered plan, used when no mongodbCollections are configured
+ * @type {Promise<Array<{collection: string, searchFields: string[]}>> | null}
+ */
+let discoveredPlan = null;
+
+/**
+ * Infer the search fields of a collection from its indexes
+ * `_id` first, then `id` and `slug` if indexed, then the fields of other unique single-field indexes
+ * @param {Array<{key: Record<string, any>, unique?: boolean}>} indexes
+ * @returns {string[]}
+ */
+function inferSearchFields(indexes) {
+	const indexedFields = new Set();
+	const uniqueFields = new Set();
+
+	for (const index of indexes) {
+		const fields = Object.keys(index.key || {});
+		// Compound and text indexes don't identify a document by a single value
+		if (fields.length !== 1 || index.key[fields[0]] === "text") {
+			continue;
+		}
+
+		indexedFields.add(fields[0]);
+		if (index.unique) {
+			uniqueFields.add(fields[0]);
+		}
+	}
+
+	const searchFields = ["_id"];
+	for (const field of PREFERRED_FIELDS) {
+		if (indexedFields.has(field)) {
+			searchFields.push(field);
+		}
+	}
+	for (const field of uniqueFields) {
+		if (!searchFields.includes(field)) {
+			searchFields.push(field);
+		}
+	}
+
+	return searchFields;
+}
+
+/**
+ * List the collections of each database and infer their search fields
+ * Collections found in several databases are merged, like mongodbCollections applies to every database
+ * @param {import("mongodb").MongoClient} client
+ * @param {string[]} databases - Databases to inspect (default database if empty)
+ * @returns {Promise<Array<{collection: string, searchFields: string[]}>>}
+ */
+async function discoverMongoPlan(client, databases) {
+	const plan = new Map();
+	const databasesToSearch =
+		databases && databases.length > 0 ? databases : [null];
+
+	for (const dbName of databasesToSearch) {
+		const db = dbName ? client.db(dbName) : client.db();
+		const collections = await db
+			.listCollections({ type: "collection" }, { nameOnly: true })
+			.toArray();
+
+		for (const { name } of collections) {
+			if (name.startsWith("system.")) {
+				continue;
+			}
+
+			try {
+				const searchFields = inferSearchFields(
+					await db.collection(name).indexes(),
+				);
+				const known = plan.get(name) || [];
+				plan.set(name, [...new Set([...known, ...searchFields])]);
+			} catch (error) {
+				console.log(
+					`[HoverLookup] Error reading indexes of ${db.databaseName}.${name}: ${error.message}`,
+				);
+			}
+		}
+	}
+
+	return [...plan].map(([collection, searchFields]) => ({
+		collection,
+		searchFields,
+	}));
+}
+
+/**
+ * Get the discovered plan, discovering it on first use
+ * @param {import("mongodb").MongoClient} client
+ * @param {string[]} databases
+ * @param {Object} [options]
+ * @param {boolean} [options.refresh] - Discover again, even if a plan is cached
+ * @returns {Promise<Array<{collection: string, searchFields: string[]}>>}
+ */
+async function getDiscoveredMongoPlan(
+	client,
+	databases,
+	{ refresh = false } = {},
+) {
+	if (!discoveredPlan || refresh) {
+		const plan = discoverMongoPlan(client, databases);
+		discoveredPlan = plan;
+
+		plan
+			.then((collections) => {
+				console.log(
+					`[HoverLookup] Discovered ${collections.length} MongoDB collection(s)`,
+				);
+			})
+			.catch((error) => {
+				console.log(
+					`[HoverLookup] MongoDB auto-discovery failed: ${error.message}`,
+				);
+				// Try again on next lookup
+				if (discoveredPlan === plan) {
+					discoveredPlan = null;
+				}
+			});
+	}
+
+	return discoveredPlan;
+}
+
+/**
+ * Forget the discovered plan (e.g., when the MongoDB configuration changes)
+ */
+function resetMongoDiscovery() {
+	discoveredPlan = null;
+}
+
+export { getDiscoveredMongoPlan, resetMongoDiscovery };
@@ -0,0 +1,123 @@
+import * as vscode from "vscode";
+import { CONFIG_NAMESPACE, CONFIG_PROPS } from "../constants/config.js";
+
+const UUID_REGEX =
+	/^\{?([0-9a-f]{8})-?([0-9a-f]{4})-?([0-9a-f]{4})-?([0-9a-f]{4})-?([0-9a-f]{12})\}?$/i;
+
+/** @type {((value: string) => string) | null} Compiled pipeline, built on first use */
+let keyNormalizer = null;
+
+/**
+ * Build a single normalization step
+ * @param {string | Object} step - A step name (e.g., "trim") or an object with options (e.g., {"stripPrefix": "usr_"})
+ * @returns {((value: string) => string) | null} - null if the step is unknown
+ */
+function createStep(step) {
+	if (typeof step === "string") {
+		switch (step) {
+			case "trim":
+				return (value) => value.trim();
+			case "lowercase":
+				return (value) => value.toLowerCase();
+			case "uppercase":
+				return (value) => value.toUpperCase();
+			case "removeLeadingZeros":
+				return (value) => value.replace(/^0+(?=\d)/, "");
+			case "uuid":
+				return createStep({ uuid: "hyphenated" });
+			default:
+				return null;
+		}
+	}
+
+	if (step === null || typeof step !== "object") {
+		return null;
+	}
+
+	if (step.stripPrefix !== undefined) {
+		const prefixes = [step.stripPrefix].flat();
+		return (value) => {
+			const prefix = prefixes.find((p) => value.startsWith(p));
+			return prefix ? value.slice(prefix.length) : value;
+		};
+	}
+
+	if (step.stripSuffix !== undefined) {
+		const suffixes = [step.stripSuffix].flat();
+		return (value) => {
+			const suffix = suffixes.find((s) => value.endsWith(s));
+			return suffix ? value.slice(0, -suffix.length) : value;
+		};
+	}
+
+	if (step.uuid !== undefined) {
+		const separator = step.uuid === "compact" ? "" : "-";
+		return (value) => {
+			const match = value.match(UUID_REGEX);
+			return match ? match.slice(1).join(separator).toLowerCase() : value;
+		};
+	}
+
+	if (step.replace !== undefined) {
+		const regex = new RegExp(step.replace, step.flags ?? "g");
+		const replacement = step.with ?? "";
+		return (value) => value.replace(regex, replacement);
+	}
+
+	return null;
+}
+
+/**
+ * Build a key normalizer from a list of steps, applied in order
+ * Unknown or invalid steps are skipped
+ * @param {Array<string | Object>} steps
+ * @returns {(value: string) => string}
+ */
+function createKeyNormalizer(steps) {
+	const functions = [];
+
+	for (const step of steps) {
+		try {
+			const fn = createStep(step);
+			if (fn) {
+				functions.push(fn);
+			} else {
+				console.log(
+					`[HoverLookup] Unknown key normalization step: ${JSON.stringify(step)}`,
+				);
+			}
+		} catch (error) {
+			console.log(
+				`[HoverLookup] Invalid key normalization step ${JSON.stringify(step)}: ${error.message}`,
+			);
+		}
+	}
+
+	return (value) => functions.reduce((result, fn) => fn(result), value);
+}
+
+/**
+ * Normalize a key with the configured pipeline (hoverLookup.keyNormalization)
+ * Used for both the database index keys and the hovered values, so they compare equal
+ * @param {string|number} value
+ * @returns {string}
+ */
+function normalizeKey(value) {
+	if (!keyNormalizer) {
+		const config = vscode.workspace.getConfiguration(CONFIG_NAMESPACE);
+		keyNormalizer = createKeyNormalizer(
+			config.get(CONFIG_PROPS.KEY_NORMALIZATION) || [],
+		);
+	}
+
+	return keyNormalizer(String(value));
+}
+
+/**
+ * Forget the compiled pipeline, so the next call reads the configuration again
+ */
+function resetKeyNormalizer() {
+	keyNormalizer = null;
+}
+
+export { createKeyNormalizer, normalizeKey, resetKeyNormalizer };
@@ -0,0 +1,81 @@
+/**
+ * Split a path into its segments
+ * Supports dot paths and array indexes: "meta.sku" -> ["meta", "sku"], "codes[0]" -> ["codes", 0]
+ * @param {string} fieldPath
+ * @returns {Array<string|number>}
+ */
+function parsePath(fieldPath) {
+	const segments = [];
+	const segmentRegex = /([^.[\]]+)|\[(\d+)\]/g;
+	let match = segmentRegex.exec(fieldPath);
+
+	while (match !== null) {
+		segments.push(
+			match[2] !== undefined ? Number.parseInt(match[2], 10) : match[1],
+		);
+		match = segmentRegex.exec(fieldPath);
+	}
+
+	return segments;
+}
+
+/**
+ * Get a nested value from an object using a path (e.g., "meta.sku" or "codes[0]")
+ * A property whose name is the whole path (e.g., a literal "meta.sku" key) takes precedence
+ * @param {any} obj
+ * @param {string} [fieldPath] - Returns the object itself if empty
+ * @returns {any}
+ */
+function getValueAtPath(obj, fieldPath) {
+	if (!fieldPath) {
+		return obj;
+	}
+
+	if (
+		obj !== null &&
+		typeof obj === "object" &&
+		Object.hasOwn(obj, fieldPath)
+	) {
+		return obj[fieldPath];
+	}
+
+	let current = obj;
+	for (const segment of parsePath(fieldPath)) {
+		if (current === null || current === undefined) {
+			return undefined;
+		}
+		current = current[segment];
+	}
+	return current;
+}
+
+/**
+ * Convert a path to MongoDB dot notation: "codes[0].id" -> "codes.0.id"
+ * @param {string} fieldPath
+ * @returns {string}
+ */
+function toMongoPath(fieldPath) {
+	return parsePath(fieldPath).join(".");
+}
+
+/**
+ * Check if the value at a path matches a search value
+ * Array values match if any element matches. Values are compared as strings
+ * @param {any} obj
+ * @param {string} fieldPath
+ * @param {string|number} searchValue
+ * @returns {boolean}
+ */
+function pathMatchesValue(obj, fieldPath, searchValue) {
+	const value = getValueAtPath(obj, fieldPath);
+	const values = Array.isArray(value) ? value : [value];
+
+	return values.some(
+		(element) =>
+			element !== undefined &&
+			element !== null &&
+			String(element) === String(searchValue),
+	);
+}
+
+export { parsePath, getValueAtPath, toMongoPath, pathMatchesValue };
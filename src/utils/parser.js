@@ -1,5 +1,37 @@
 import * as vscode from "vscode";
 
+/**
+ * Create the regexes matching string literals: quoted, then template literals
+ * New instances on every call, since global regexes keep their position
+ * @returns {RegExp[]}
+ */
+function createStringPatterns() {
+	return [/["']([^"'\\]*(\\.[^"'\\]*)*)["']/g, /`([^`\\]*(\\.[^`\\]*)*)`/g];
+}
+
+/**
+ * Create the regex matching number literals
+ * @returns {RegExp}
+ */
+function createNumberPattern() {
+	return /-?\d+\.?\d*/g;
+}
+
+/**
+ * Check if a number is part of an identifier (variable name), by checking the characters before and after
+ * @param {string} line
+ * @param {number} start - Offset of the number
+ * @param {number} end - Offset after the number
+ * @returns {boolean}
+ */
+function isPartOfIdentifier(line, start, end) {
+	const charBefore = start > 0 ? line[start - 1] : "";
+	const charAfter = end < line.length ? line[end] : "";
+
+	// If surrounded by identifier characters (letters, _, $), it's part of a variable name
+	return /[a-zA-Z_$]/.test(charBefore) || /[a-zA-Z_$]/.test(charAfter);
+}
+
 /**
  * Extract string at cursor position
  * @param {string} line
@@ -7,13 +39,7 @@ import * as vscode from "vscode";
  * @returns {string | null}
  */
 function extractStringAtPosition(line, character) {
-	const patterns = [
-		/["']([^"'\\]*(\\.[^"'\\]*)*)["']/g,
-		/`([^`\\]*(\\.[^`\\]*)*)`/g,
-	];
-
-	for (const regex of patterns) {
-		regex.lastIndex = 0;
+	for (const regex of createStringPatterns()) {
 		let match = regex.exec(line);
 
 		while (match !== null) {
@@ -38,7 +64,7 @@ function extractStringAtPosition(line, character) {
  * @returns {number | null}
  */
 function extractNumberAtPosition(line, character) {
-	const numberRegex = /-?\d+\.?\d*/g;
+	const numberRegex = createNumberPattern();
 	let match = numberRegex.exec(line);
 
 	while (match !== null) {
@@ -46,16 +72,7 @@ function extractNumberAtPosition(line, character) {
 		const end = match.index + match[0].length;
 
 		if (character >= start && character < end) {
-			// Check if the number is part of an identifier (variable name)
-			// by checking the characters before and after
-			const charBefore = start > 0 ? line[start - 1] : "";
-			const charAfter = end < line.length ? line[end] : "";
-
-			// If surrounded by identifier characters (letters, _, $), it's part of a variable name
-			const isPartOfIdentifier =
-				/[a-zA-Z_$]/.test(charBefore) || /[a-zA-Z_$]/.test(charAfter);
-
-			if (!isPartOfIdentifier) {
+			if (!isPartOfIdentifier(line, start, end)) {
 				const numStr = match[0];
 				return numStr.includes(".") ? parseFloat(numStr) : parseInt(numStr, 10);
 			}
@@ -75,7 +92,7 @@ function extractNumberAtPosition(line, character) {
  * @returns {vscode.Range | null}
  */
 function getNumberRangeAtPosition(position, line, character) {
-	const numberRegex = /-?\d+\.?\d*/g;
+	const numberRegex = createNumberPattern();
 	let match = numberRegex.exec(line);
 
 	while (match !== null) {
@@ -83,16 +100,7 @@ function getNumberRangeAtPosition(position, line, character) {
 		const end = match.index + match[0].length;
 
 		if (character >= start && character < end) {
-			// Check if the number is part of an identifier (variable name)
-			// by checking the characters before and after
-			const charBefore = start > 0 ? line[start - 1] : "";
-			const charAfter = end < line.length ? line[end] : "";
-
-			// If surrounded by identifier characters (letters, _, $), it's part of a variable name
-			const isPartOfIdentifier =
-				/[a-zA-Z_$]/.test(charBefore) || /[a-zA-Z_$]/.test(charAfter);
-
-			if (!isPartOfIdentifier) {
+			if (!isPartOfIdentifier(line, start, end)) {
 				return new vscode.Range(position.line, start, position.line, end);
 			}
 		}
@@ -111,13 +119,7 @@ function getNumberRangeAtPosition(position, line, character) {
  * @returns {vscode.Range | null}
  */
 function getStringRangeAtPosition(position, line, character) {
-	const patterns = [
-		/["']([^"'\\]*(\\.[^"'\\]*)*)["']/g,
-		/`([^`\\]*(\\.[^`\\]*)*)`/g,
-	];
-
-	for (const regex of patterns) {
-		regex.lastIndex = 0;
+	for (const regex of createStringPatterns()) {
 		let match = regex.exec(line);
 
 		while (match !== null) {
@@ -135,7 +137,51 @@ function getStringRangeAtPosition(position, line, character) {
 	return null;
 }
 
+/**
+ * Find every string and number literal of a line, with the same rules as extractStringAtPosition and extractNumberAtPosition
+ * Numbers inside strings are skipped, like hovering them finds the string
+ * @param {string} line
+ * @returns {Array<{value: string|number, start: number, end: number}>} - In order of appearance
+ */
+function extractLiterals(line) {
+	const literals = [];
+
+	for (const regex of createStringPatterns()) {
+		for (const match of line.matchAll(regex)) {
+			const start = match.index;
+			const end = match.index + match[0].length;
+			const insideString = literals.some(
+				(literal) => start < literal.end && end > literal.start,
+			);
+
+			if (!insideString && match[1] !== "") {
+				literals.push({ value: match[1], start, end });
+			}
+		}
+	}
+
+	for (const match of line.matchAll(createNumberPattern())) {
+		const start = match.index;
+		const end = match.index + match[0].length;
+		const insideString = literals.some(
+			(literal) => start < literal.end && end > literal.start,
+		);
+
+		if (!insideString && !isPartOfIdentifier(line, start, end)) {
+			const numStr = match[0];
+			literals.push({
+				value: numStr.includes(".") ? parseFloat(numStr) : parseInt(numStr, 10),
+				start,
+				end,
+			});
+		}
+	}
+
+	return literals.sort((a, b) => a.start - b.start);
+}
+
 export {
+	extractLiterals,
 	extractStringAtPosition,
 	extractNumberAtPosition,
 	getNumberRangeAtPosition,
@@ -0,0 +1,78 @@
+/**
+ * Convert a glob to an anchored regular expression
+ * `*` matches any sequence of characters and `?` matches a single character
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+	const source = Array.from(glob, (char) => {
+		if (char === "*") return ".*";
+		if (char === "?") return ".";
+		return char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+	}).join("");
+
+	return new RegExp(`^${source}$`);
+}
+
+/**
+ * Compile a pattern entry from a database file
+ * @param {{glob?: string, regex?: string, flags?: string}} entry
+ * @returns {{regex: RegExp, label: string} | null} - null if the entry has no valid pattern
+ */
+function compilePattern(entry) {
+	try {
+		if (typeof entry.glob === "string") {
+			return { regex: globToRegExp(entry.glob), label: entry.glob };
+		}
+
+		if (typeof entry.regex === "string") {
+			// Ignore the global and sticky flags, they make exec() stateful
+			const flags = (entry.flags || "").replace(/[gy]/g, "");
+			return {
+				regex: new RegExp(entry.regex, flags),
+				label: `/${entry.regex}/${flags}`,
+			};
+		}
+	} catch (error) {
+		console.log(`[HoverLookup] Invalid pattern: ${error.message}`);
+	}
+
+	return null;
+}
+
+/**
+ * Replace `{{name}}` placeholders with named capture groups, in every string of a value
+ * A string that is only a placeholder is replaced with the group value itself, keeping its type
+ * Unknown placeholders are left as is
+ * @param {any} value
+ * @param {Record<string, any>} groups
+ * @returns {any} - A copy of the value with placeholders replaced
+ */
+function interpolateGroups(value, groups) {
+	if (typeof value === "string") {
+		const wholeMatch = value.match(/^\{\{(\w+)\}\}$/);
+		if (wholeMatch && groups[wholeMatch[1]] !== undefined) {
+			return groups[wholeMatch[1]];
+		}
+
+		return value.replace(/\{\{(\w+)\}\}/g, (placeholder, name) =>
+			groups[name] !== undefined ? groups[name] : placeholder,
+		);
+	}
+
+	if (Array.isArray(value)) {
+		return value.map((element) => interpolateGroups(element, groups));
+	}
+
+	if (value !== null && typeof value === "object") {
+		const result = {};
+		for (const [key, element] of Object.entries(value)) {
+			result[key] = interpolateGroups(element, groups);
+		}
+		return result;
+	}
+
+	return value;
+}
+
+export { compilePattern, interpolateGroups };
@@ -0,0 +1,386 @@
+import {
+	createCipheriv,
+	createDecipheriv,
+	createHash,
+	randomBytes,
+} from "node:crypto";
+import * as fs from "node:fs/promises";
+import * as path from "node:path";
+import { BSON } from "mongodb";
+import * as vscode from "vscode";
+import {
+	CONFIG_KEYS,
+	CONFIG_NAMESPACE,
+	CONFIG_PROPS,
+	SECRET_KEYS,
+} from "../constants/config.js";
+import {
+	getMongoCacheEntries,
+	onDidChangeMongoCache,
+	restoreMongoCacheEntries,
+	setMongoCacheStaleTTL,
+} from "./mongoDatabase.js";
+
+const CACHE_FILE_NAME = "lookup-cache.json";
+const FILE_VERSION = 1;
+const ENCRYPTION_ALGORITHM = "aes-256-gcm";
+
+/** Cache changes are saved together, after this delay */
+const SAVE_DELAY_MS = 5000;
+
+/** @type {string | null} */
+let cacheFilePath = null;
+/** @type {vscode.SecretStorage | null} */
+let secretStorage = null;
+let saveTimer = null;
+
+/**
+ * Reads, saves and deletions of the cache file, run one after the other
+ * Keeps a save in progress from recreating the file after it was deleted
+ * @type {Promise<void>}
+ */
+let fileOperations = Promise.resolve();
+
+/**
+ * Entries of the cache file, merged with the in-memory cache when saving
+ * Keeps saved entries the in-memory cache evicted
+ * @type {Map<string, {document: any, source: string, matchedField?: string | null, timestamp: number}>}
+ */
+const persistedEntries = new Map();
+
+/**
+ * Check if the persistent cache is enabled
+ * @returns {boolean}
+ */
+function isPersistentCacheEnabled() {
+	const config = vscode.workspace.getConfiguration(CONFIG_NAMESPACE);
+	return config.get(CONFIG_PROPS.PERSISTENT_CACHE) === true; // Default to false
+}
+
+/**
+ * Get the persistent cache TTL in milliseconds
+ * @returns {number} - Default: 24 hours
+ */
+function getPersistentCacheTTL() {
+	const config = vscode.workspace.getConfiguration(CONFIG_NAMESPACE);
+	const hours = config.get(CONFIG_PROPS.PERSISTENT_CACHE_TTL_HOURS) || 24;
+	return hours * 60 * 60 * 1000;
+}
+
+/**
+ * Get the maximum number of saved entries
+ * @returns {number} - Default: 5000
+ */
+function getPersistentCacheMaxEntries() {
+	const config = vscode.workspace.getConfiguration(CONFIG_NAMESPACE);
+	return config.get(CONFIG_PROPS.PERSISTENT_CACHE_MAX_ENTRIES) || 5000;
+}
+
+/**
+ * Check if the cache file is encrypted
+ * @returns {boolean}
+ */
+function isPersistentCacheEncrypted() {
+	const config = vscode.workspace.getConfiguration(CONFIG_NAMESPACE);
+	return config.get(CONFIG_PROPS.PERSISTENT_CACHE_ENCRYPTION) === true; // Default to false
+}
+
+/**
+ * Get a fingerprint of the servers the cached values come from (MongoDB, SQL and HTTP URLs)
+ * Hashed, since the URLs may hold credentials
+ * @returns {string}
+ */
+function getServersFingerprint() {
+	const config = vscode.workspace.getConfiguration(CONFIG_NAMESPACE);
+	const servers = [
+		config.get(CONFIG_PROPS.MONGODB_URL) || "",
+		config.get(CONFIG_PROPS.SQL_URL) || "",
+		(config.get(CONFIG_PROPS.HTTP_ENDPOINTS) || []).map(({ url }) => url),
+	];
+
+	return createHash("sha256").update(JSON.stringify(servers)).digest("hex");
+}
+
+/**
+ * Get the encryption key from the secret storage, creating it on first use
+ * @returns {Promise<Buffer>}
+ */
+async function getEncryptionKey() {
+	const storedKey = await secretStorage.get(SECRET_KEYS.PERSISTENT_CACHE_KEY);
+	if (storedKey) {
+		return Buffer.from(storedKey, "base64");
+	}
+
+	const key = randomBytes(32);
+	await secretStorage.store(
+		SECRET_KEYS.PERSISTENT_CACHE_KEY,
+		key.toString("base64"),
+	);
+	return key;
+}
+
+/**
+ * Encrypt the content of the cache file
+ * @param {string} text
+ * @param {Buffer} key
+ * @returns {{iv: string, tag: string, data: string}} - Base64 encoded
+ */
+function encrypt(text, key) {
+	const iv = randomBytes(12);
+	const cipher = createCipheriv(ENCRYPTION_ALGORITHM, key, iv);
+	const data = Buffer.concat([cipher.update(text, "utf8"), cipher.final()]);
+
+	return {
+		iv: iv.toString("base64"),
+		tag: cipher.getAuthTag().toString("base64"),
+		data: data.toString("base64"),
+	};
+}
+
+/**
+ * Decrypt the content of the cache file
+ * @param {{iv: string, tag: string, data: string}} encrypted
+ * @param {Buffer} key
+ * @returns {string}
+ */
+function decrypt({ iv, tag, data }, key) {
+	const decipher = createDecipheriv(
+		ENCRYPTION_ALGORITHM,
+		key,
+		Buffer.from(iv, "base64"),
+	);
+	decipher.setAuthTag(Buffer.from(tag, "base64"));
+
+	return Buffer.concat([
+		decipher.update(Buffer.from(data, "base64")),
+		decipher.final(),
+	]).toString("utf8");
+}
+
+/**
+ * Read the entries of the cache file
+ * Documents are stored as Extended JSON, so ObjectIds, dates and UUIDs keep their type
+ * @returns {Promise<Array<[string, Object]>>} - Empty if there is no file, it can't be read, or it was saved for other servers
+ */
+async function readCacheFile() {
+	try {
+		const file = JSON.parse(await fs.readFile(cacheFilePath, "utf8"));
+		if (file.version !== FILE_VERSION) {
+			return [];
+		}
+
+		// The servers changed while the extension wasn't running
+		if (file.servers !== getServersFingerprint()) {
+			console.log(
+				"[HoverLookup] Persistent cache was saved for other servers, discarding it",
+			);
+			await fs.rm(cacheFilePath, { force: true });
+			return [];
+		}
+
+		const content = file.encrypted
+			? decrypt(file, await getEncryptionKey())
+			: file.entries;
+
+		// Relaxed, so numbers come back as numbers, like the driver returns them
+		return BSON.EJSON.parse(content, { relaxed: true });
+	} catch (error) {
+		if (error.code !== "ENOENT") {
+			console.log(
+				`[HoverLookup] Could not read persistent cache: ${error.message}`,
+			);
+		}
+		return [];
+	}
+}
+
+/**
+ * Write entries to the cache file, encrypted if hoverLookup.persistentCacheEncryption is enabled
+ * @param {Array<[string, Object]>} entries
+ */
+async function writeCacheFile(entries) {
+	const content = BSON.EJSON.stringify(entries, { relaxed: false });
+	const servers = getServersFingerprint();
+	const file = isPersistentCacheEncrypted()
+		? {
+				version: FILE_VERSION,
+				servers,
+				encrypted: true,
+				...encrypt(content, await getEncryptionKey()),
+			}
+		: { version: FILE_VERSION, servers, encrypted: false, entries: content };
+
+	await fs.mkdir(path.dirname(cacheFilePath), { recursive: true });
+	await fs.writeFile(cacheFilePath, JSON.stringify(file), "utf8");
+}
+
+/**
+ * Run an operation on the cache file once the previous ones have finished
+ * @template T
+ * @param {() => Promise<T>} operation
+ * @returns {Promise<T>} - Rejects if the operation fails, without stopping the next ones
+ */
+function queueFileOperation(operation) {
+	const result = fileOperations.then(operation);
+	fileOperations = result.then(
+		() => {},
+		() => {},
+	);
+	return result;
+}
+
+/**
+ * Load the cache file into the in-memory cache, so the debugger finds the values right away
+ */
+async function loadPersistentCache() {
+	const expiredBefore = Date.now() - getPersistentCacheTTL();
+	const entries = (await readCacheFile()).filter(
+		([, entry]) => entry.timestamp > expiredBefore,
+	);
+
+	persistedEntries.clear();
+	for (const [cacheKey, entry] of entries) {
+		persistedEntries.set(cacheKey, entry);
+	}
+
+	restoreMongoCacheEntries(entries);
+	console.log(
+		`[HoverLookup] Loaded ${entries.length} value(s) from the persistent cache`,
+	);
+}
+
+/**
+ * Save the in-memory cache, merged with the entries already saved
+ * Expired entries are dropped, then the oldest ones beyond hoverLookup.persistentCacheMaxEntries
+ */
+async function savePersistentCache() {
+	for (const [cacheKey, entry] of getMongoCacheEntries()) {
+		const saved = persistedEntries.get(cacheKey);
+		if (!saved || saved.timestamp < entry.timestamp) {
+			persistedEntries.set(cacheKey, entry);
+		}
+	}
+
+	const expiredBefore = Date.now() - getPersistentCacheTTL();
+	const entries = [...persistedEntries]
+		.filter(([, entry]) => entry.timestamp > expiredBefore)
+		.sort(([, a], [, b]) => b.timestamp - a.timestamp)
+		.slice(0, getPersistentCacheMaxEntries());
+
+	persistedEntries.clear();
+	for (const [cacheKey, entry] of entries) {
+		persistedEntries.set(cacheKey, entry);
+	}
+
+	await writeCacheFile(entries);
+}
+
+/**
+ * Save the cache after SAVE_DELAY_MS, so a burst of lookups is written once
+ */
+function schedulePersistentCacheSave() {
+	if (saveTimer || !isPersistentCacheEnabled()) {
+		return;
+	}
+
+	saveTimer = setTimeout(() => {
+		saveTimer = null;
+		queueFileOperation(savePersistentCache).catch((error) => {
+			console.log(
+				`[HoverLookup] Could not save persistent cache: ${error.message}`,
+			);
+		});
+	}, SAVE_DELAY_MS);
+}
+
+/**
+ * Delete the saved entries and the cache file (e.g., "Clear MongoDB Cache")
+ */
+async function clearPersistentCache() {
+	clearTimeout(saveTimer);
+	saveTimer = null;
+
+	// Deleted after a save in progress, which would write the file again
+	await queueFileOperation(async () => {
+		persistedEntries.clear();
+		await fs.rm(cacheFilePath, { force: true });
+	}).catch((error) => {
+		console.log(
+			`[HoverLookup] Could not delete persistent cache: ${error.message}`,
+		);
+	});
+}
+
+/**
+ * Apply the persistent cache settings: expired values are served as stale while it keeps them
+ * The cache file is deleted while the persistent cache is disabled
+ */
+async function applyPersistentCacheConfig() {
+	if (!isPersistentCacheEnabled()) {
+		setMongoCacheStaleTTL(0);
+		await clearPersistentCache();
+		return;
+	}
+
+	setMongoCacheStaleTTL(getPersistentCacheTTL());
+	await queueFileOperation(loadPersistentCache);
+}
+
+/**
+ * Start the persistent cache: load the saved values and save the new ones as they are cached
+ * The file is stored in the workspace storage (global storage without a workspace)
+ * @param {vscode.ExtensionContext} context
+ */
+function initPersistentCache(context) {
+	cacheFilePath = path.join(
+		(context.storageUri ?? context.globalStorageUri).fsPath,
+		CACHE_FILE_NAME,
+	);
+	secretStorage = context.secrets;
+
+	context.subscriptions.push(
+		onDidChangeMongoCache(({ cleared }) => {
+			if (cleared) {
+				clearPersistentCache();
+			} else {
+				schedulePersistentCacheSave();
+			}
+		}),
+		vscode.workspace.onDidChangeConfiguration((event) => {
+			if (
+				event.affectsConfiguration(CONFIG_KEYS.PERSISTENT_CACHE) ||
+				event.affectsConfiguration(CONFIG_KEYS.PERSISTENT_CACHE_TTL_HOURS) ||
+				event.affectsConfiguration(CONFIG_KEYS.PERSISTENT_CACHE_ENCRYPTION)
+			) {
+				applyPersistentCacheConfig()
+					.then(schedulePersistentCacheSave)
+					.catch((error) => {
+						console.log(
+							`[HoverLookup] Could not load persistent cache: ${error.message}`,
+						);
+					});
+			}
+		}),
+	);
+
+	applyPersistentCacheConfig().catch((error) => {
+		console.log(
+			`[HoverLookup] Could not load persistent cache: ${error.message}`,
+		);
+	});
+}
+
+/**
+ * Save pending changes right away (e.g., when the extension is deactivated)
+ */
+async function flushPersistentCache() {
+	if (!saveTimer) {
+		return;
+	}
+
+	clearTimeout(saveTimer);
+	saveTimer = null;
+	await queueFileOperation(savePersistentCache);
+}
+
+export { flushPersistentCache, initPersistentCache };
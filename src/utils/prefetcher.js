@@ -0,0 +1,200 @@
+import * as vscode from "vscode";
+import {
+	CONFIG_KEYS,
+	CONFIG_NAMESPACE,
+	CONFIG_PROPS,
+} from "../constants/config.js";
+import { hasRemoteSources, searchInBackground } from "./backgroundSearch.js";
+import { searchLocalDatabase } from "./database.js";
+import { getFromMongoCache, isKnownMongoMiss } from "./mongoDatabase.js";
+import { extractLiterals } from "./parser.js";
+import { searchSqliteDatabase } from "./sqliteDatabase.js";
+
+/** Wait for scrolling and editor switches to settle before scanning */
+const PREFETCH_DELAY_MS = 500;
+
+/** Window of hoverLookup.prefetchMaxValuesPerMinute */
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+
+/**
+ * Check if prefetching is enabled
+ * @returns {boolean}
+ */
+function isPrefetchEnabled() {
+	const config = vscode.workspace.getConfiguration(CONFIG_NAMESPACE);
+	return config.get(CONFIG_PROPS.PREFETCH) === true; // Default to false
+}
+
+/**
+ * Get the maximum number of literals prefetched from the visible part of a file
+ * @returns {number} - Default: 50
+ */
+function getMaxLiteralsPerFile() {
+	const config = vscode.workspace.getConfiguration(CONFIG_NAMESPACE);
+	return config.get(CONFIG_PROPS.PREFETCH_MAX_LITERALS_PER_FILE) || 50;
+}
+
+/**
+ * Get the maximum number of values prefetched per minute
+ * @returns {number} - Default: 200
+ */
+function getMaxValuesPerMinute() {
+	const config = vscode.workspace.getConfiguration(CONFIG_NAMESPACE);
+	return config.get(CONFIG_PROPS.PREFETCH_MAX_VALUES_PER_MINUTE) || 200;
+}
+
+/**
+ * Check if a value still needs to be searched in remote sources
+ * Values found locally, cached (not stale) or known to be missing are already answered synchronously
+ * @param {string|number} value
+ * @returns {boolean}
+ */
+function needsPrefetch(value) {
+	const cached = getFromMongoCache(value);
+	if (cached) {
+		return cached.stale;
+	}
+
+	return (
+		!isKnownMongoMiss(value) &&
+		!searchLocalDatabase(value) &&
+		!searchSqliteDatabase(value)
+	);
+}
+
+/**
+ * List the literals of the visible part of the editors that still need to be searched
+ * @param {readonly vscode.TextEditor[]} editors
+ * @returns {Array<string|number>} - Without duplicates, at most hoverLookup.prefetchMaxLiteralsPerFile per file
+ */
+function collectVisibleLiterals(editors) {
+	const maxPerFile = getMaxLiteralsPerFile();
+	const values = new Map();
+
+	for (const editor of editors) {
+		// e.g., the Output panel
+		if (editor.document.uri.scheme === "output") {
+			continue;
+		}
+
+		let fileCount = 0;
+
+		for (const range of editor.visibleRanges) {
+			for (
+				let line = range.start.line;
+				line <= range.end.line && fileCount < maxPerFile;
+				line++
+			) {
+				for (const { value } of extractLiterals(
+					editor.document.lineAt(line).text,
+				)) {
+					// A literal 42 and "42" are searched separately, like they are cached
+					const key = `${typeof value}:${value}`;
+					if (fileCount >= maxPerFile || values.has(key)) {
+						continue;
+					}
+
+					fileCount++;
+					if (needsPrefetch(value)) {
+						values.set(key, value);
+					}
+				}
+			}
+		}
+	}
+
+	return [...values.values()];
+}
+
+/**
+ * Search the literals visible in the editors in background, so the debugger finds them on the first hover
+ * Scans run after scrolling or switching editors, one at a time, within hoverLookup.prefetchMaxValuesPerMinute
+ * @param {vscode.ExtensionContext} context
+ */
+function createPrefetcher(context) {
+	/** When each value of the last minute was prefetched */
+	let prefetchedAt = [];
+	let scanTimer = null;
+	let running = false;
+	let rescan = false;
+
+	/**
+	 * Prefetch the visible literals, within the rate limit
+	 * Values over the limit are left for a scan once the oldest ones leave the window
+	 */
+	const scan = async () => {
+		if (!isPrefetchEnabled() || !hasRemoteSources()) {
+			return;
+		}
+
+		const now = Date.now();
+		prefetchedAt = prefetchedAt.filter(
+			(time) => now - time < RATE_LIMIT_WINDOW_MS,
+		);
+
+		const values = collectVisibleLiterals(vscode.window.visibleTextEditors);
+		const allowed = Math.max(0, getMaxValuesPerMinute() - prefetchedAt.length);
+		const batch = values.slice(0, allowed);
+
+		prefetchedAt.push(...batch.map(() => now));
+
+		if (values.length > batch.length) {
+			console.log(
+				`[HoverLookup] Prefetch rate limit reached, ${values.length - batch.length} value(s) left for later`,
+			);
+			schedule(prefetchedAt[0] + RATE_LIMIT_WINDOW_MS - now);
+		}
+
+		if (batch.length > 0) {
+			console.log(`[HoverLookup] Prefetching ${batch.length} visible value(s)`);
+			await searchInBackground(batch);
+		}
+	};
+
+	const run = () => {
+		scanTimer = null;
+		if (running) {
+			rescan = true;
+			return;
+		}
+
+		running = true;
+		scan()
+			.catch((error) => {
+				console.error(`[HoverLookup] Prefetch failed: ${error.message}`);
+			})
+			.finally(() => {
+				running = false;
+				if (rescan) {
+					rescan = false;
+					schedule();
+				}
+			});
+	};
+
+	/**
+	 * Scan after a delay, once
+	 * @param {number} [delay]
+	 */
+	const schedule = (delay = PREFETCH_DELAY_MS) => {
+		if (scanTimer || !isPrefetchEnabled()) {
+			return;
+		}
+		scanTimer = setTimeout(run, delay);
+	};
+
+	context.subscriptions.push(
+		vscode.window.onDidChangeVisibleTextEditors(() => schedule()),
+		vscode.window.onDidChangeTextEditorVisibleRanges(() => schedule()),
+		vscode.workspace.onDidChangeConfiguration((event) => {
+			if (event.affectsConfiguration(CONFIG_KEYS.PREFETCH)) {
+				schedule();
+			}
+		}),
+		{ dispose: () => clearTimeout(scanTimer) },
+	);
+
+	schedule();
+}
+
+export { createPrefetcher };
@@ -0,0 +1,156 @@
+import * as vscode from "vscode";
+import { CONFIG_NAMESPACE, CONFIG_PROPS } from "../constants/config.js";
+import { findLocalRelated } from "./database.js";
+import { recordLookupError } from "./lookupTimeout.js";
+import { findMongoRelated } from "./mongoDatabase.js";
+import { getValueAtPath } from "./objectPath.js";
+
+/** Maximum number of related documents resolved for a single array field */
+const MAX_RELATED_PER_FIELD = 10;
+
+/**
+ * @typedef {Object} ResolvedRelation
+ * @property {string} field - Field of the document holding the foreign key (e.g., "customerId")
+ * @property {string|number} value - The foreign key
+ * @property {string} collection - Target collection or file name (e.g., "users")
+ * @property {string} targetField - Field of the target document (e.g., "id")
+ * @property {any} document - The related document
+ * @property {string} source - Source of the related document
+ * @property {ResolvedRelation[]} related - Relations of the related document, one level deeper
+ */
+
+/**
+ * Get how many levels of relations to resolve
+ * @returns {number} - 0 disables relations (default: 1)
+ */
+function getRelationDepth() {
+	const config = vscode.workspace.getConfiguration(CONFIG_NAMESPACE);
+	const depth = config.get(CONFIG_PROPS.RELATION_DEPTH);
+	return typeof depth === "number" ? depth : 1;
+}
+
+/**
+ * Get a key identifying a document, to detect cycles
+ * MongoDB documents are new objects on every query, so they are identified by _id
+ * @param {any} document
+ * @param {string} source
+ * @returns {any}
+ */
+function getDocumentKey(document, source) {
+	if (document && document._id !== undefined) {
+		return `${source}:${String(document._id)}`;
+	}
+	return document;
+}
+
+/**
+ * Find the document a relation points to
+ * Database files named after the collection are checked first, then MongoDB
+ * @param {string} collection
+ * @param {string} targetField
+ * @param {string|number} value
+ * @param {import("./lookupTimeout.js").LookupOptions} options
+ * @returns {Promise<{document: any, source: string, relations: Array<Object>} | null>}
+ */
+async function findRelatedDocument(collection, targetField, value, options) {
+	try {
+		return (
+			findLocalRelated(collection, targetField, value) ||
+			(await findMongoRelated(collection, targetField, value, options))
+		);
+	} catch (error) {
+		if (!recordLookupError(options, "MongoDB", error)) {
+			console.log(
+				`[HoverLookup] Error resolving relation to ${collection}.${targetField}: ${error.message}`,
+			);
+		}
+		return null;
+	}
+}
+
+/**
+ * Resolve the relations of a document (e.g., customerId -> users.id), recursively up to the depth limit
+ * A document already shown (the document itself or an earlier related one) is not resolved again, so cycles end
+ * @param {any} document - The document holding the foreign keys
+ * @param {string} source - Source of the document
+ * @param {Array<{field: string, collection: string, targetField?: string}>} relations - Relations declared by the source
+ * @param {import("./lookupTimeout.js").LookupOptions} [options] - Lookup timeout and cancellation
+ * @param {number} [depth] - Levels left to resolve (default: hoverLookup.relationDepth)
+ * @param {Set<any>} [visited] - Documents already shown
+ * @returns {Promise<ResolvedRelation[]>}
+ */
+async function resolveRelations(
+	document,
+	source,
+	relations,
+	options = {},
+	depth = getRelationDepth(),
+	visited = new Set(),
+) {
+	if (depth <= 0 || !Array.isArray(relations) || relations.length === 0) {
+		return [];
+	}
+
+	visited.add(getDocumentKey(document, source));
+	const resolved = [];
+
+	for (const relation of relations) {
+		const { field, collection, targetField = "id" } = relation || {};
+		if (typeof field !== "string" || typeof collection !== "string") {
+			console.log(
+				`[HoverLookup] Invalid relation: ${JSON.stringify(relation)}`,
+			);
+			continue;
+		}
+
+		const fieldValue = getValueAtPath(document, field);
+		const values = (Array.isArray(fieldValue) ? fieldValue : [fieldValue])
+			// ObjectIds and UUIDs are searched by their string form
+			.map((value) => (value?._bsontype ? String(value) : value))
+			.filter((value) => typeof value === "string" || typeof value === "number")
+			.slice(0, MAX_RELATED_PER_FIELD);
+
+		for (const value of values) {
+			if (options.signal?.aborted) {
+				return resolved;
+			}
+
+			const target = await findRelatedDocument(
+				collection,
+				targetField,
+				value,
+				options,
+			);
+			if (!target) {
+				continue;
+			}
+
+			const key = getDocumentKey(target.document, target.source);
+			if (visited.has(key)) {
+				continue;
+			}
+			visited.add(key);
+
+			resolved.push({
+				field,
+				value,
+				collection,
+				targetField,
+				document: target.document,
+				source: target.source,
+				related: await resolveRelations(
+					target.document,
+					target.source,
+					target.relations,
+					options,
+					depth - 1,
+					visited,
+				),
+			});
+		}
+	}
+
+	return resolved;
+}
+
+export { resolveRelations };
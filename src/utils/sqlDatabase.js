@@ -0,0 +1,509 @@
+import mysql from "mysql2/promise";
+import pg from "pg";
+import * as vscode from "vscode";
+import { CONFIG_NAMESPACE, CONFIG_PROPS } from "../constants/config.js";
+import {
+	abortable,
+	recordLookupError,
+	recordLookupFailure,
+	runQueryWithTimeout,
+} from "./lookupTimeout.js";
+import { addToMongoCache } from "./mongoDatabase.js";
+
+/**
+ * Kinds of search columns, which decide the values a column is compared with
+ * - NUMBER: only numeric values, so the comparison never fails on a non-numeric value
+ * - UUID: only UUIDs
+ * - TEXT: any value
+ * - OTHER: any value, compared as text (e.g., dates)
+ */
+const COLUMN_KIND = /** @type {const} */ ({
+	NUMBER: "number",
+	UUID: "uuid",
+	TEXT: "text",
+	OTHER: "other",
+});
+
+/** PostgreSQL type OIDs of the search columns (int8, int2, int4, oid, float4, float8, numeric, uuid, text types) */
+const POSTGRES_NUMBER_TYPES = new Set([20, 21, 23, 26, 700, 701, 1700]);
+const POSTGRES_UUID_TYPE = 2950;
+const POSTGRES_TEXT_TYPES = new Set([18, 19, 25, 1042, 1043]);
+
+/** MySQL column types compared as numbers (DECIMAL, TINY, SHORT, LONG, FLOAT, DOUBLE, LONGLONG, INT24, YEAR, NEWDECIMAL) */
+const MYSQL_NUMBER_TYPES = new Set([0, 1, 2, 3, 4, 5, 8, 9, 13, 246]);
+
+/**
+ * Supported SQL dialects, detected from the connection URL protocol
+ * Parameters are sent untyped, so the database gives them the type of the column they are compared with,
+ * and can use the column's index
+ */
+const SQL_DIALECTS = {
+	postgres: {
+		name: "PostgreSQL",
+		protocols: ["postgres:", "postgresql:"],
+		quoteIdentifier: (name) => `"${String(name).replace(/"/g, '""')}"`,
+		condition: (column, index, kind) =>
+			kind === COLUMN_KIND.OTHER
+				? `${column}::text = $${index + 1}`
+				: `${column} = $${index + 1}`,
+		getColumnKind: ({ dataTypeID }) => {
+			if (POSTGRES_NUMBER_TYPES.has(dataTypeID)) {
+				return COLUMN_KIND.NUMBER;
+			}
+			if (dataTypeID === POSTGRES_UUID_TYPE) {
+				return COLUMN_KIND.UUID;
+			}
+			return POSTGRES_TEXT_TYPES.has(dataTypeID)
+				? COLUMN_KIND.TEXT
+				: COLUMN_KIND.OTHER;
+		},
+	},
+	mysql: {
+		name: "MySQL",
+		protocols: ["mysql:", "mariadb:"],
+		quoteIdentifier: (name) => `\`${String(name).replace(/`/g, "``")}\``,
+		condition: (column) => `${column} = ?`,
+		// MySQL converts "abc" to 0 against a numeric column, which would match the wrong row
+		getColumnKind: ({ columnType }) =>
+			MYSQL_NUMBER_TYPES.has(columnType)
+				? COLUMN_KIND.NUMBER
+				: COLUMN_KIND.TEXT,
+	},
+};
+
+/** How long connecting waits for the server, so hovers don't hang on a dead one */
+const CONNECT_TIMEOUT_MS = 5000;
+/** Delay before the first reconnection attempt, doubled after each failure */
+const INITIAL_BACKOFF_MS = 1000;
+/** Maximum delay between reconnection attempts */
+const MAX_BACKOFF_MS = 60 * 1000;
+
+/**
+ * Active connection pool and the dialect it was created for, set once the connection is checked
+ * columnKinds caches the kinds of the search columns of each table
+ * @type {{dialect: typeof SQL_DIALECTS[keyof typeof SQL_DIALECTS], pool: any, databaseName: string, columnKinds: Map<string, string[]>} | null}
+ */
+let sqlConnection = null;
+/** @type {Promise<any | null> | null} Pending connection, shared by concurrent lookups */
+let connectPromise = null;
+/** Incremented on disconnect, so a pending connection to a previous configuration is dropped */
+let connectionId = 0;
+/** Consecutive failed connections */
+let failureCount = 0;
+/** No connection is attempted before this time (backoff) */
+let retryAt = 0;
+
+/**
+ * Check if SQL database lookups are enabled
+ * @returns {boolean}
+ */
+function isSqlEnabled() {
+	const config = vscode.workspace.getConfiguration(CONFIG_NAMESPACE);
+	return config.get(CONFIG_PROPS.ENABLE_SQL) !== false; // Default to true
+}
+
+/**
+ * Get SQL configuration from VSCode settings
+ * @returns {{url: string, tables: Array}}
+ */
+function getSqlConfig() {
+	const config = vscode.workspace.getConfiguration(CONFIG_NAMESPACE);
+	const url = (config.get(CONFIG_PROPS.SQL_URL) || "").trim();
+	const tables = config.get(CONFIG_PROPS.SQL_TABLES) || [];
+
+	return { url, tables };
+}
+
+/**
+ * Get the dialect for a connection URL
+ * @param {string} url
+ * @returns {typeof SQL_DIALECTS[keyof typeof SQL_DIALECTS] | null}
+ */
+function getSqlDialect(url) {
+	const protocol = new URL(url).protocol;
+	return (
+		Object.values(SQL_DIALECTS).find((dialect) =>
+			dialect.protocols.includes(protocol),
+		) || null
+	);
+}
+
+/**
+ * Run a query and return its rows and fields, whatever the dialect
+ * The drivers can't cancel a query, so the client stops waiting for it after the query timeout
+ * @param {{dialect: typeof SQL_DIALECTS[keyof typeof SQL_DIALECTS], pool: any}} connection
+ * @param {string} text
+ * @param {Array} params
+ * @param {import("./lookupTimeout.js").LookupOptions} [options]
+ * @returns {Promise<{rows: Object[], fields: Object[]}>}
+ */
+async function runQuery(connection, text, params, options = {}) {
+	return runQueryWithTimeout(async (_signal, timeoutMs) => {
+		if (connection.dialect === SQL_DIALECTS.postgres) {
+			const { rows, fields } = await connection.pool.query({
+				text,
+				values: params,
+				query_timeout: timeoutMs,
+			});
+			return { rows, fields };
+		}
+
+		const [rows, fields] = await connection.pool.query(
+			{ sql: text, timeout: timeoutMs },
+			params,
+		);
+		return { rows, fields };
+	}, options);
+}
+
+/**
+ * Close a connection pool
+ * @param {any} pool
+ */
+async function closePool(pool) {
+	try {
+		await pool.end();
+	} catch (_error) {
+		// Ignore close errors
+	}
+}
+
+/**
+ * Record a failed connection and wait before the next attempt, with exponential backoff
+ */
+function recordConnectionFailure() {
+	failureCount++;
+	const delay = Math.min(
+		INITIAL_BACKOFF_MS * 2 ** (failureCount - 1),
+		MAX_BACKOFF_MS,
+	);
+	retryAt = Date.now() + delay;
+
+	console.log(
+		`[HoverLookup] SQL connection failed ${failureCount} time(s), retrying in ${delay / 1000}s`,
+	);
+}
+
+/**
+ * Open a new connection pool and check it, shared by the lookups waiting for it
+ * @param {string} url
+ * @param {typeof SQL_DIALECTS[keyof typeof SQL_DIALECTS]} dialect
+ * @returns {Promise<any | null>}
+ */
+async function openConnection(url, dialect) {
+	const id = connectionId;
+
+	const connect = async () => {
+		const pool =
+			dialect === SQL_DIALECTS.postgres
+				? new pg.Pool({
+						connectionString: url,
+						max: 2,
+						connectionTimeoutMillis: CONNECT_TIMEOUT_MS,
+					})
+				: mysql.createPool({
+						uri: url,
+						connectionLimit: 2,
+						connectTimeout: CONNECT_TIMEOUT_MS,
+					});
+		const databaseName = decodeURIComponent(
+			new URL(url).pathname.replace(/^\//, ""),
+		);
+
+		// pg re-emits errors of idle connections (e.g., the server restarted) on the pool, which would crash without a listener
+		pool.on("error", (error) => {
+			console.log(
+				`[HoverLookup] ${dialect.name} connection lost: ${error.message}`,
+			);
+			if (sqlConnection?.pool === pool) {
+				sqlConnection = null;
+				closePool(pool);
+				recordConnectionFailure();
+			}
+		});
+
+		try {
+			// Check the connection once, so a wrong URL is reported right away
+			await runQuery({ dialect, pool }, "SELECT 1", []);
+		} catch (error) {
+			console.log(
+				`[HoverLookup] Failed to connect to SQL database: ${error.message}`,
+			);
+			closePool(pool);
+			if (id === connectionId) {
+				recordConnectionFailure();
+			}
+			return null;
+		}
+
+		// The configuration changed while connecting
+		if (id !== connectionId) {
+			await closePool(pool);
+			return null;
+		}
+
+		sqlConnection = { dialect, pool, databaseName, columnKinds: new Map() };
+		failureCount = 0;
+		retryAt = 0;
+		console.log(`[HoverLookup] Connected to ${dialect.name}`);
+		return pool;
+	};
+
+	connectPromise = connect();
+	try {
+		return await connectPromise;
+	} finally {
+		if (id === connectionId) {
+			connectPromise = null;
+		}
+	}
+}
+
+/**
+ * Connect to the SQL database
+ * The pool re-establishes dropped connections by itself, so an existing pool is reused as is
+ * Returns null right away while waiting to reconnect after a failure
+ * @returns {Promise<any | null>}
+ */
+async function connectSql() {
+	const { url } = getSqlConfig();
+
+	if (!url) {
+		return null;
+	}
+
+	if (sqlConnection) {
+		return sqlConnection.pool;
+	}
+
+	if (connectPromise) {
+		return connectPromise;
+	}
+
+	// Backing off after a failure
+	if (Date.now() < retryAt) {
+		return null;
+	}
+
+	let dialect = null;
+	try {
+		dialect = getSqlDialect(url);
+	} catch (error) {
+		console.log(`[HoverLookup] Invalid SQL URL: ${error.message}`);
+		return null;
+	}
+	if (!dialect) {
+		console.log(
+			`[HoverLookup] Unsupported SQL URL protocol: ${new URL(url).protocol}`,
+		);
+		return null;
+	}
+
+	return openConnection(url, dialect);
+}
+
+/**
+ * Disconnect from the SQL database
+ * Also resets the backoff
+ */
+async function disconnectSql() {
+	connectionId++;
+	connectPromise = null;
+	failureCount = 0;
+	retryAt = 0;
+
+	if (sqlConnection) {
+		const { dialect, pool } = sqlConnection;
+		sqlConnection = null;
+		await closePool(pool);
+		console.log(`[HoverLookup] Disconnected from ${dialect.name}`);
+	}
+}
+
+/**
+ * Get the kinds of the search columns of a table, from the fields of an empty result
+ * @param {NonNullable<typeof sqlConnection>} connection
+ * @param {string} tableName - Quoted
+ * @param {string[]} searchColumns
+ * @param {import("./lookupTimeout.js").LookupOptions} [options]
+ * @returns {Promise<string[]>} - One COLUMN_KIND per search column
+ */
+async function getColumnKinds(connection, tableName, searchColumns, options) {
+	const { dialect, columnKinds } = connection;
+	const selectedColumns = searchColumns.map(dialect.quoteIdentifier).join(", ");
+	const cacheKey = `${tableName}(${selectedColumns})`;
+
+	if (!columnKinds.has(cacheKey)) {
+		const { fields } = await runQuery(
+			connection,
+			`SELECT ${selectedColumns} FROM ${tableName} LIMIT 0`,
+			[],
+			options,
+		);
+		columnKinds.set(cacheKey, fields.map(dialect.getColumnKind));
+	}
+
+	return columnKinds.get(cacheKey);
+}
+
+/**
+ * Check if a value can be compared with a column of a kind
+ * @param {string} value
+ * @param {string} kind
+ * @returns {boolean}
+ */
+function isComparable(value, kind) {
+	if (kind === COLUMN_KIND.NUMBER) {
+		return /^-?\d+(\.\d+)?$/.test(value);
+	}
+	if (kind === COLUMN_KIND.UUID) {
+		return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(
+			value,
+		);
+	}
+	return true;
+}
+
+/**
+ * Find the rows matching a value in SQL tables
+ * Only the first match is cached for the debugger
+ * @param {string|number} searchValue - The value to search for
+ * @param {boolean} all - Search every table, instead of stopping at the first match
+ * @param {import("./lookupTimeout.js").LookupOptions} [options]
+ * @returns {Promise<Array<{document: Object, source: string}>>} - One row per matching table
+ */
+async function findSqlMatches(searchValue, all, options = {}) {
+	const matches = [];
+
+	if (!isSqlEnabled()) {
+		return matches;
+	}
+
+	let pool = null;
+	try {
+		pool = await abortable(connectSql(), options.signal);
+	} catch (error) {
+		recordLookupError(options, "SQL", error);
+		return matches;
+	}
+	if (!pool || !sqlConnection) {
+		if (getSqlConfig().url) {
+			recordLookupFailure(options, "SQL");
+		}
+		return matches;
+	}
+
+	const { tables } = getSqlConfig();
+	if (!tables || tables.length === 0) {
+		return matches;
+	}
+
+	const connection = sqlConnection;
+	const { dialect, databaseName } = connection;
+
+	for (const tableConfig of tables) {
+		if (options.signal?.aborted) {
+			return matches;
+		}
+
+		const { table, searchColumns, columns } = tableConfig;
+
+		if (!table || !Array.isArray(searchColumns) || searchColumns.length === 0) {
+			continue;
+		}
+
+		try {
+			const selectedColumns =
+				Array.isArray(columns) && columns.length > 0
+					? columns.map(dialect.quoteIdentifier).join(", ")
+					: "*";
+			const tableName = table.split(".").map(dialect.quoteIdentifier).join(".");
+			const value = String(searchValue);
+
+			// Only compare the columns the value fits, e.g., "abc" is not searched in a numeric id column
+			const kinds = await getColumnKinds(
+				connection,
+				tableName,
+				searchColumns,
+				options,
+			);
+			const comparedColumns = searchColumns
+				.map((column, index) => ({ column, kind: kinds[index] }))
+				.filter(({ kind }) => isComparable(value, kind));
+
+			if (comparedColumns.length === 0) {
+				continue;
+			}
+
+			const where = comparedColumns
+				.map(({ column, kind }, index) =>
+					dialect.condition(dialect.quoteIdentifier(column), index, kind),
+				)
+				.join(" OR ");
+
+			const { rows } = await runQuery(
+				connection,
+				`SELECT ${selectedColumns} FROM ${tableName} WHERE ${where} LIMIT 1`,
+				comparedColumns.map(() => value),
+				options,
+			);
+
+			if (rows.length > 0) {
+				const document = { ...rows[0] };
+				const source = `${dialect.name}.${databaseName}.${table}`;
+				console.log(
+					`[HoverLookup] Found row in ${dialect.name} table: ${databaseName}.${table}`,
+				);
+
+				// Add to cache for future synchronous lookups
+				if (matches.length === 0) {
+					addToMongoCache(searchValue, document, source);
+				}
+
+				matches.push({ document, source });
+				if (!all) {
+					return matches;
+				}
+			}
+		} catch (error) {
+			const source = `${dialect.name}.${databaseName}.${table}`;
+			if (!recordLookupError(options, source, error)) {
+				console.error(
+					`[HoverLookup] Error searching ${dialect.name} table ${table}: ${error.message}`,
+				);
+			}
+		}
+	}
+
+	return matches;
+}
+
+/**
+ * Search for a value in SQL tables
+ * @param {string|number} searchValue - The value to search for
+ * @param {import("./lookupTimeout.js").LookupOptions} [options]
+ * @returns {Promise<{document: Object, source: string} | null>} - The row and source if found, null otherwise
+ */
+async function searchSqlDatabase(searchValue, options = {}) {
+	const [match] = await findSqlMatches(searchValue, false, options);
+	return match || null;
+}
+
+/**
+ * Search for a value in every SQL table
+ * @param {string|number} searchValue - The value to search for
+ * @param {import("./lookupTimeout.js").LookupOptions} [options]
+ * @returns {Promise<Array<{document: Object, source: string}>>} - One row per matching table
+ */
+async function searchSqlDatabaseAll(searchValue, options = {}) {
+	return findSqlMatches(searchValue, true, options);
+}
+
+export {
+	getSqlConfig,
+	connectSql,
+	disconnectSql,
+	searchSqlDatabase,
+	searchSqlDatabaseAll,
+	isSqlEnabled,
+};
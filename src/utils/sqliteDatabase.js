@@ -0,0 +1,282 @@
+import fs from "node:fs";
+import path from "node:path";
+import initSqlJs from "sql.js";
+import * as vscode from "vscode";
+import {
+	CONFIG_KEYS,
+	CONFIG_NAMESPACE,
+	CONFIG_PROPS,
+} from "../constants/config.js";
+import { resolveWorkspacePaths } from "./database.js";
+
+/** @type {any} sql.js module, initialized on first load */
+let SQL = null;
+
+/**
+ * SQLite databases loaded in memory, in the configured order
+ * Queries are synchronous, so they can be used during debug hover
+ * @type {Array<{fileName: string, db: any}>}
+ */
+let sqliteDatabases = [];
+
+/**
+ * Check if SQLite is enabled
+ * @returns {boolean}
+ */
+function isSqliteEnabled() {
+	const config = vscode.workspace.getConfiguration(CONFIG_NAMESPACE);
+	return config.get(CONFIG_PROPS.ENABLE_SQLITE) !== false; // Default to true
+}
+
+/**
+ * Get SQLite configuration from VSCode settings
+ * @returns {{paths: string[], tables: Array}}
+ */
+function getSqliteConfig() {
+	const config = vscode.workspace.getConfiguration(CONFIG_NAMESPACE);
+	const paths = resolveWorkspacePaths(
+		config.get(CONFIG_PROPS.SQLITE_PATHS) || [],
+	);
+	const tables = config.get(CONFIG_PROPS.SQLITE_TABLES) || [];
+
+	return { paths, tables };
+}
+
+/** @type {Promise<boolean> | null} Load in progress, so reloads don't overlap */
+let loadingPromise = null;
+let reloadPending = false;
+
+/** Last load failure, logged once until a load succeeds */
+let lastLoadError = null;
+
+/**
+ * Table errors already logged since the last load (e.g., a table missing in a file)
+ * Hovers run the same queries again, so each error is logged once
+ * @type {Set<string>}
+ */
+const loggedSearchErrors = new Set();
+
+/**
+ * Close SQLite databases
+ * @param {Array<{fileName: string, db: any}>} databases
+ */
+function closeDatabases(databases) {
+	for (const { db } of databases) {
+		db.close();
+	}
+}
+
+/**
+ * Close all loaded SQLite databases
+ */
+function closeSqliteDatabases() {
+	closeDatabases(sqliteDatabases);
+	sqliteDatabases = [];
+}
+
+/**
+ * Read the configured SQLite files, then replace the loaded databases
+ * The previous databases stay searchable until the new ones are ready
+ * @returns {Promise<boolean>}
+ */
+async function readSqliteDatabases() {
+	const { paths } = getSqliteConfig();
+	if (paths.length === 0) {
+		closeSqliteDatabases();
+		return false;
+	}
+
+	const databases = [];
+
+	try {
+		if (!SQL) {
+			SQL = await initSqlJs();
+		}
+
+		const invalidPaths = [];
+
+		for (const filePath of paths) {
+			if (!fs.existsSync(filePath)) {
+				invalidPaths.push(filePath);
+				continue;
+			}
+
+			const db = new SQL.Database(fs.readFileSync(filePath));
+			databases.push({ fileName: path.basename(filePath), db });
+		}
+
+		closeSqliteDatabases();
+		sqliteDatabases = databases;
+		loggedSearchErrors.clear();
+		lastLoadError = null;
+
+		if (invalidPaths.length > 0) {
+			const pathsList = invalidPaths.map((p) => `  • ${p}\n`).join("\n");
+			console.log(
+				`HoverLookup: ${invalidPaths.length} SQLite file(s) not found:\n${pathsList}\n\nCheck your ${CONFIG_KEYS.SQLITE_PATHS} configuration.`,
+			);
+		}
+
+		console.log(
+			`[HoverLookup] Loaded ${sqliteDatabases.length} SQLite database(s)`,
+		);
+		return sqliteDatabases.length > 0;
+	} catch (error) {
+		if (error.message !== lastLoadError) {
+			lastLoadError = error.message;
+			console.log(`[HoverLookup] Failed to load SQLite: ${error.message}`);
+		}
+		closeDatabases(databases);
+		closeSqliteDatabases();
+		return false;
+	}
+}
+
+/**
+ * Load the configured SQLite files in memory
+ * A load requested while another one runs is done once after it, with the latest settings
+ * @returns {Promise<boolean>}
+ */
+function loadSqliteDatabases() {
+	if (loadingPromise) {
+		reloadPending = true;
+		return loadingPromise;
+	}
+
+	loadingPromise = (async () => {
+		let loaded = false;
+		do {
+			reloadPending = false;
+			loaded = await readSqliteDatabases();
+		} while (reloadPending);
+		return loaded;
+	})().finally(() => {
+		loadingPromise = null;
+	});
+
+	return loadingPromise;
+}
+
+/**
+ * Quote an SQL identifier (table or column name)
+ * @param {string} name
+ * @returns {string}
+ */
+function quoteIdentifier(name) {
+	return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+/**
+ * Convert a SQLite row to a JSON-friendly document
+ * BLOB columns are returned as Uint8Array, which doesn't stringify well
+ * @param {Object} row
+ * @returns {Object}
+ */
+function rowToDocument(row) {
+	const document = {};
+	for (const [column, value] of Object.entries(row)) {
+		document[column] =
+			value instanceof Uint8Array ? `<BLOB ${value.length} bytes>` : value;
+	}
+	return document;
+}
+
+/**
+ * Find the rows matching a value in SQLite tables (synchronous)
+ * @param {string|number} searchValue - The value to search for
+ * @param {boolean} all - Search every table of every file, instead of stopping at the first match
+ * @returns {Array<{document: Object, source: string}>} - One row per matching table
+ */
+function findSqliteMatches(searchValue, all) {
+	const matches = [];
+
+	if (!isSqliteEnabled() || sqliteDatabases.length === 0) {
+		return matches;
+	}
+
+	const { tables } = getSqliteConfig();
+	if (!tables || tables.length === 0) {
+		return matches;
+	}
+
+	// Search in each file in order
+	for (const { fileName, db } of sqliteDatabases) {
+		for (const tableConfig of tables) {
+			const { table, searchColumns, columns } = tableConfig;
+
+			if (
+				!table ||
+				!Array.isArray(searchColumns) ||
+				searchColumns.length === 0
+			) {
+				continue;
+			}
+
+			let statement = null;
+			try {
+				const selectedColumns =
+					Array.isArray(columns) && columns.length > 0
+						? columns.map(quoteIdentifier).join(", ")
+						: "*";
+				const where = searchColumns
+					.map((column) => `${quoteIdentifier(column)} = ?`)
+					.join(" OR ");
+
+				statement = db.prepare(
+					`SELECT ${selectedColumns} FROM ${quoteIdentifier(table)} WHERE ${where} LIMIT 1`,
+				);
+				statement.bind(searchColumns.map(() => String(searchValue)));
+
+				if (statement.step()) {
+					const document = rowToDocument(statement.getAsObject());
+					const source = `SQLite.${fileName}.${table}`;
+					console.log(
+						`[HoverLookup] Found row in SQLite table: ${fileName}.${table}`,
+					);
+					matches.push({ document, source });
+					if (!all) {
+						return matches;
+					}
+				}
+			} catch (error) {
+				// Table may not exist in every file
+				const errorKey = `${fileName}.${table}: ${error.message}`;
+				if (!loggedSearchErrors.has(errorKey)) {
+					loggedSearchErrors.add(errorKey);
+					console.log(`[HoverLookup] Error searching SQLite table ${errorKey}`);
+				}
+			} finally {
+				statement?.free();
+			}
+		}
+	}
+
+	return matches;
+}
+
+/**
+ * Search for a value in SQLite tables (synchronous)
+ * @param {string|number} searchValue - The value to search for
+ * @returns {{document: Object, source: string} | null} - The row and source if found, null otherwise
+ */
+function searchSqliteDatabase(searchValue) {
+	return findSqliteMatches(searchValue, false)[0] || null;
+}
+
+/**
+ * Search for a value in every SQLite table (synchronous)
+ * @param {string|number} searchValue - The value to search for
+ * @returns {Array<{document: Object, source: string}>} - One row per matching table
+ */
+function searchSqliteDatabaseAll(searchValue) {
+	return findSqliteMatches(searchValue, true);
+}
+
+export {
+	getSqliteConfig,
+	loadSqliteDatabases,
+	closeSqliteDatabases,
+	searchSqliteDatabase,
+	searchSqliteDatabaseAll,
+	isSqliteEnabled,
+};
@@ -0,0 +1,85 @@
+import * as vscode from "vscode";
+import { COMMAND_IDS } from "../constants/config.js";
+import { eventAffectsConfiguration } from "./configuration.js";
+import {
+	CONNECTION_STATE,
+	getMongoConfig,
+	getMongoConnectionStatus,
+	isMongoDBEnabled,
+	onDidChangeMongoConnectionState,
+} from "./mongoDatabase.js";
+
+/**
+ * Icon and description of each MongoDB connection state
+ */
+const MONGO_STATE_DISPLAY = {
+	[CONNECTION_STATE.DISCONNECTED]: {
+		icon: "$(database)",
+		description: "not connected, connects on the next lookup",
+	},
+	[CONNECTION_STATE.CONNECTING]: {
+		icon: "$(sync~spin)",
+		description: "connecting...",
+	},
+	[CONNECTION_STATE.CONNECTED]: {
+		icon: "$(database)",
+		description: "connected",
+	},
+	[CONNECTION_STATE.RECONNECTING]: {
+		icon: "$(sync~spin)",
+		description: "unreachable, retrying...",
+	},
+	[CONNECTION_STATE.UNAVAILABLE]: {
+		icon: "$(debug-disconnect)",
+		description: "unavailable, lookups skip MongoDB until it reconnects",
+	},
+};
+
+/**
+ * Show the MongoDB connection state in the status bar
+ * Hidden when MongoDB is disabled or has no URL. Clicking it reconnects
+ * @param {vscode.ExtensionContext} context
+ */
+function createMongoStatusBar(context) {
+	const item = vscode.window.createStatusBarItem(
+		vscode.StatusBarAlignment.Right,
+		100,
+	);
+	item.command = COMMAND_IDS.RECONNECT_MONGODB;
+
+	const update = () => {
+		if (!isMongoDBEnabled() || !getMongoConfig().url) {
+			item.hide();
+			return;
+		}
+
+		const { state, failureCount, retryAt } = getMongoConnectionStatus();
+		const { icon, description } = MONGO_STATE_DISPLAY[state];
+
+		item.text = `${icon} MongoDB`;
+		item.tooltip = `HoverLookup: MongoDB ${description}`;
+		if (failureCount > 0 && retryAt > 0) {
+			item.tooltip += `\nNext attempt at ${new Date(retryAt).toLocaleTimeString()} (${failureCount} failure(s))`;
+		}
+		item.tooltip += "\nClick to reconnect";
+		item.backgroundColor =
+			state === CONNECTION_STATE.UNAVAILABLE
+				? new vscode.ThemeColor("statusBarItem.warningBackground")
+				: undefined;
+		item.show();
+	};
+
+	context.subscriptions.push(
+		item,
+		onDidChangeMongoConnectionState(update),
+		vscode.workspace.onDidChangeConfiguration((event) => {
+			if (eventAffectsConfiguration.mongoDbStatus(event)) {
+				update();
+			}
+		}),
+	);
+
+	update();
+}
+
+export { createMongoStatusBar };
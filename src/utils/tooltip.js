@@ -12,8 +12,11 @@ function createSeparator(length = 50) {
  * @param {Object} params
  * @param {string} params.word The word being hovered
  * @param {number} params.lookupTimeMs The time it took to perform the lookup
- * @param {string} params.source The source of the data (e.g., "lookup-database.json")
+ * @param {string} [params.source] The source of the data (e.g., "lookup-database.json")
  * @param {string|number} [params.matchedValue] The value that matched (for objects)
+ * @param {string} [params.matchedField] The key field the value matched (e.g., "code")
+ * @param {string} [params.matchedPattern] The pattern the value matched (e.g., "ERR-4??-*")
+ * @param {number} [params.matchCount] Number of matches, shown instead of the source when there are several
  * @returns {string}
  */
 export function formatTooltipHeaderMarkdown({
@@ -21,13 +24,110 @@ export function formatTooltipHeaderMarkdown({
 	lookupTimeMs,
 	source,
 	matchedValue,
+	matchedField,
+	matchedPattern,
+	matchCount = 1,
 }) {
 	const separator = createSeparator();
+	const sourceInfo =
+		matchCount > 1 ? `Matches: ${matchCount}` : `Source: \`${source}\``;
 	let matchInfo = "";
 	if (matchedValue !== undefined && matchedValue !== null) {
 		matchInfo = `Matched using: \`${matchedValue}\`\n\n`;
 	}
-	return `${separator}\n\n**🔍 Database Lookup for \`${word}\`** (${lookupTimeMs}ms)\n\nSource: \`${source}\`\n${matchInfo}\n${separator}\n\n`;
+	if (matchedField) {
+		matchInfo += `Matched field: \`${matchedField}\`\n\n`;
+	}
+	if (matchedPattern) {
+		matchInfo += `Matched pattern: \`${matchedPattern}\`\n\n`;
+	}
+	return `${separator}\n\n**🔍 Database Lookup for \`${word}\`** (${lookupTimeMs}ms)\n\n${sourceInfo}\n${matchInfo}\n${separator}\n\n`;
+}
+
+/**
+ * Format the title of one match, when the hover shows several (hoverLookup.showAllMatches)
+ * @param {Object} params
+ * @param {number} params.index Position of the match, starting at 1
+ * @param {string} params.source The source of the data (e.g., "MongoDB.production.users")
+ * @param {string|number} [params.matchedValue] The value that matched (for candidates extracted from a string)
+ * @param {string} [params.matchedField] The key field the value matched (e.g., "code")
+ * @param {string} [params.matchedPattern] The pattern the value matched (e.g., "ERR-4??-*")
+ * @returns {string}
+ */
+export function formatMatchSectionMarkdown({
+	index,
+	source,
+	matchedValue,
+	matchedField,
+	matchedPattern,
+}) {
+	let matchInfo = "";
+	if (matchedValue !== undefined && matchedValue !== null) {
+		matchInfo += `Matched using: \`${matchedValue}\`\n\n`;
+	}
+	if (matchedField) {
+		matchInfo += `Matched field: \`${matchedField}\`\n\n`;
+	}
+	if (matchedPattern) {
+		matchInfo += `Matched pattern: \`${matchedPattern}\`\n\n`;
+	}
+	return `**${index}. \`${source}\`**\n\n${matchInfo}`;
+}
+
+/**
+ * Format the title of a related document (e.g., customerId -> users.id)
+ * @param {Object} params
+ * @param {Array<{field: string, value: string|number, collection: string, targetField: string}>} params.path Relations followed from the main document, outermost first
+ * @param {string} params.source The source of the related document
+ * @returns {string}
+ */
+export function formatRelationTitleMarkdown({ path, source }) {
+	const relationPath = path
+		.map(
+			({ field, value, collection, targetField }) =>
+				`\`${field}: ${value}\` → \`${collection}.${targetField}\``,
+		)
+		.join(" › ");
+	return `\n**↳ ${relationPath}**\n\nSource: \`${source}\`\n\n`;
+}
+
+/**
+ * Format the note listing the sources that didn't answer in time
+ * @param {string[]} sources The sources that timed out (e.g., "MongoDB.production.users")
+ * @returns {string}
+ */
+export function formatTimeoutNoteMarkdown(sources) {
+	const sourceList = sources.map((source) => `\`${source}\``).join(", ");
+	return `⏱️ _Lookup timed out in ${sourceList}_`;
+}
+
+/**
+ * Format how long ago something happened (e.g., "5 min ago")
+ * @param {number} timestamp
+ * @returns {string}
+ */
+export function formatAge(timestamp) {
+	const minutes = Math.floor((Date.now() - timestamp) / 60000);
+	if (minutes < 1) {
+		return "just now";
+	}
+	if (minutes < 60) {
+		return `${minutes} min ago`;
+	}
+	const hours = Math.floor(minutes / 60);
+	if (hours < 48) {
+		return `${hours} h ago`;
+	}
+	return `${Math.floor(hours / 24)} days ago`;
+}
+
+/**
+ * Format the note of a value served from the cache because the server couldn't be reached
+ * @param {number} savedAt When the value was cached
+ * @returns {string}
+ */
+export function formatStaleNoteMarkdown(savedAt) {
+	return `⚠️ _Stale: saved ${formatAge(savedAt)}, the server couldn't be reached_`;
 }
 
 /**
@@ -36,21 +136,60 @@ export function formatTooltipHeaderMarkdown({
  * @param {number} params.lookupTimeMs The time it took to perform the lookup
  * @param {string} params.source The source of the data (e.g., "lookup-database.json")
  * @param {string|number} [params.matchedValue] The value that matched (for objects)
+ * @param {string} [params.matchedField] The key field the value matched (e.g., "code")
+ * @param {string} [params.matchedPattern] The pattern the value matched (e.g., "ERR-4??-*")
  * @returns {string}
  */
 export function formatTooltipHeaderPlainText({
 	lookupTimeMs,
 	source,
 	matchedValue,
+	matchedField,
+	matchedPattern,
 }) {
 	const separator = createSeparator();
 	let matchInfo = "";
 	if (matchedValue !== undefined && matchedValue !== null) {
 		matchInfo = `Matched using: ${matchedValue}\n`;
 	}
+	if (matchedField) {
+		matchInfo += `Matched field: ${matchedField}\n`;
+	}
+	if (matchedPattern) {
+		matchInfo += `Matched pattern: ${matchedPattern}\n`;
+	}
 	return `\n\n${separator}\n🔍 Database Lookup (${lookupTimeMs}ms)\nSource: ${source}\n${matchInfo}${separator}\n\n`;
 }
 
+/**
+ * Format a value shown by the debugger with the label of its match (Variables and Watch views)
+ * @param {string} value The value as shown by the debugger (e.g., "42")
+ * @param {string} label The display field of the match (e.g., "Jane Smith")
+ * @returns {string} e.g., '42 → "Jane Smith"'
+ */
+export function formatVariableLabel(value, label) {
+	return `${value} → ${JSON.stringify(label)}`;
+}
+
+/**
+ * Format the summary of a match, shown as the value of the "🔍 lookup" child of an object (debug adapter)
+ * @param {Object} params
+ * @param {string | null} [params.label] The display field of the match (e.g., "Jane Smith")
+ * @param {string} params.source The source of the data (e.g., "MongoDB.production.users (cached)")
+ * @param {string|number} [params.matchedValue] The value of the object that matched
+ * @returns {string} e.g., '"Jane Smith" · MongoDB.production.users (cached) · matched using 42'
+ */
+export function formatLookupSummaryPlainText({ label, source, matchedValue }) {
+	const parts = [source];
+	if (label !== undefined && label !== null) {
+		parts.unshift(JSON.stringify(label));
+	}
+	if (matchedValue !== undefined && matchedValue !== null) {
+		parts.push(`matched using ${matchedValue}`);
+	}
+	return parts.join(" · ");
+}
+
 /**
  * @deprecated Use formatTooltipHeaderMarkdown instead
  * @param {Object} params